@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 import {
   Card,
@@ -14,6 +14,9 @@ import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
 import {
   LineChart,
   Line,
+  AreaChart,
+  Area,
+  ComposedChart,
   XAxis,
   YAxis,
   CartesianGrid,
@@ -31,39 +34,91 @@ import {
   SunIcon,
   FileSpreadsheet,
   ListFilter,
+  DollarSign,
   MoonIcon,
   AlertTriangle,
+  Settings,
+  GitCompare,
 } from "lucide-react";
 import axios from "axios";
+import SettingsPanel from "@/components/SettingsPanel";
+import StrategySelector from "@/components/StrategySelector";
+import TariffEditor from "@/components/TariffEditor";
+import PlaybackControls from "@/components/PlaybackControls";
+import ColumnMappingDialog from "@/components/ColumnMappingDialog";
+import OutageTimeline from "@/components/OutageTimeline";
+import AlertList from "@/components/AlertList";
+import ForecastPanel from "@/components/ForecastPanel";
+import ThermalProfileEditor from "@/components/ThermalProfileEditor";
+import WebhookSettings from "@/components/WebhookSettings";
+import RunHistory from "@/components/RunHistory";
+import ScenarioCompare from "@/components/ScenarioCompare";
+import ThermalDeratingChart from "@/components/ThermalDeratingChart";
+import { gridStateInfo } from "@/lib/gridStates";
+import { formatDuration } from "@/lib/time";
+
+// Forecast horizon shown on the charts, and how often it is refreshed
+const FORECAST_HOURS = 24;
+const FORECAST_REFRESH_ROWS = 12;
+// Rows kept for the charts, while streaming and when a stored run is
+// reopened; the server sends as many on seek
+const HISTORY_ROWS = 500;
 
 const App = () => {
   // State variables
   const [file, setFile] = useState(null);
-  const [filePath, setFilePath] = useState("");
-  const [isProcessing, setIsProcessing] = useState(false);
+  const [csvOptions, setCsvOptions] = useState({
+    delimiter: "",
+    decimalSeparator: ".",
+  });
+  const [runId, setRunId] = useState("");
+  // Event ID a reopened run's stream resumes after, so rows already loaded
+  // from the run store are not replayed
+  const [resumeEventId, setResumeEventId] = useState(0);
+  const [datasets, setDatasets] = useState([]);
+  const [runStatus, setRunStatus] = useState("idle");
+  const [runSpeed, setRunSpeed] = useState(1);
   const [currentData, setCurrentData] = useState(null);
   const [historicalData, setHistoricalData] = useState([]);
-  const [alertMessages, setAlertMessages] = useState([]);
+  const [alerts, setAlerts] = useState([]);
   const [summary, setSummary] = useState(null);
-  const [processingSpeed, setProcessingSpeed] = useState(20000); // Default 20 seconds
-
-  // Reference for interval timer
-  const intervalRef = useRef(null);
+  const [batchProgress, setBatchProgress] = useState(null);
+  const [config, setConfig] = useState(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [mappingDataset, setMappingDataset] = useState(null);
+  const [forecast, setForecast] = useState(null);
+  const [forecastModel, setForecastModel] = useState("regression");
+  const [runOptions, setRunOptions] = useState({
+    strategy: "rule-based",
+    strategyOptions: {},
+  });
 
   // Handle file selection
   const handleFileChange = (e) => {
     setFile(e.target.files[0]);
   };
 
+  const isCsvFile = /\.(csv|tsv|txt)$/i.test(file?.name || "");
+
   // Handle file upload
   const handleUpload = async () => {
     if (!file) return;
 
     const formData = new FormData();
     formData.append("file", file);
+    if (isCsvFile) {
+      formData.append("delimiter", csvOptions.delimiter);
+      formData.append("decimalSeparator", csvOptions.decimalSeparator);
+    }
+    formData.append("strategy", runOptions.strategy);
+    formData.append(
+      "strategyOptions",
+      JSON.stringify(runOptions.strategyOptions)
+    );
 
     try {
-      setIsProcessing(false);
+      await stopProcessing();
       const response = await axios.post(
         "http://localhost:5000/api/uploads",
         formData,
@@ -74,11 +129,14 @@ const App = () => {
         }
       );
 
-      setFilePath(response.data.filePath);
-      setHistoricalData([]);
-      setAlertMessages([]);
-      setCurrentData(null);
-      setSummary(null);
+      fetchDatasets();
+
+      // Datasets that fail validation need their columns mapped first
+      if (!response.data.runId) {
+        setMappingDataset(response.data.dataset);
+        return;
+      }
+      resetRun(response.data.runId);
     } catch (error) {
       console.error("Upload error:", error);
       alert(`Error: ${error.response?.data?.message || error.message}
@@ -87,128 +145,259 @@ const App = () => {
     }
   };
 
-  // Start processing data
-  const startProcessing = () => {
-    if (!filePath) return;
+  // Switch the dashboard over to a fresh run
+  const resetRun = (newRunId, lastEventId = 0) => {
+    setRunId(newRunId);
+    setResumeEventId(lastEventId);
+    setRunStatus("idle");
+    setHistoricalData([]);
+    setAlerts([]);
+    setCurrentData(null);
+    setSummary(null);
+    setBatchProgress(null);
+  };
 
-    setIsProcessing(true);
+  // Reopen a stored run with its latest rows, as a seek would show them
+  const openRun = async (id) => {
+    try {
+      await stopProcessing();
+      const { data: record } = await axios.get(
+        `http://localhost:5000/api/runs/${id}`
+      );
+      const { data: page } = await axios.get(
+        `http://localhost:5000/api/runs/${id}/rows?from=${Math.max(
+          0,
+          record.rows_processed - HISTORY_ROWS
+        )}`
+      );
 
-    // Clear any existing interval
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
+      resetRun(id, record.last_event_id);
+      setRunStatus(record.status);
+      setHistoricalData(page.rows);
+      setCurrentData(
+        page.rows.length > 0 ? page.rows[page.rows.length - 1] : null
+      );
+    } catch (error) {
+      console.error("Error opening run:", error);
+      alert("Error opening run: " + (error.response?.data || error.message));
     }
-
-    // Set up interval to fetch next row every X seconds
-    fetchNextRow();
-    intervalRef.current = setInterval(fetchNextRow, processingSpeed);
   };
 
-  // Stop processing
-  const stopProcessing = () => {
-    if (intervalRef.current) {
-      clearInterval(intervalRef.current);
-      intervalRef.current = null;
+  // Fetch previously uploaded datasets
+  const fetchDatasets = async () => {
+    try {
+      const response = await axios.get("http://localhost:5000/api/datasets");
+      setDatasets(response.data);
+    } catch (error) {
+      console.error("Error fetching datasets:", error);
     }
-    setIsProcessing(false);
   };
 
-  // Change processing speed
-  const changeProcessingSpeed = (speed) => {
-    setProcessingSpeed(speed);
-    if (isProcessing) {
-      stopProcessing();
-      setTimeout(() => {
-        setIsProcessing(true);
-        fetchNextRow();
-        intervalRef.current = setInterval(fetchNextRow, speed);
-      }, 100);
+  // Fetch the run's alert history from the server. Without a run, show the
+  // alerts of every run that still need attention.
+  const fetchAlerts = async (forRunId) => {
+    const query = forRunId ? `runId=${forRunId}` : "status=open,acknowledged";
+    try {
+      const response = await axios.get(
+        `http://localhost:5000/api/alerts?${query}`
+      );
+      setAlerts(response.data);
+    } catch (error) {
+      console.error("Error fetching alerts:", error);
     }
   };
 
-  // Fetch next row of data
-  const fetchNextRow = async () => {
+  const upsertAlert = (changed) => {
+    setAlerts((prev) => [
+      ...prev.filter((alert) => alert.id !== changed.id),
+      changed,
+    ]);
+  };
+
+  // Acknowledge or resolve an alert on behalf of an operator
+  const handleAlertAction = async (alertId, action, details) => {
     try {
-      const response = await axios.get(
-        `http://localhost:5000/api/data/next?filePath=${encodeURIComponent(
-          filePath
-        )}`
+      const response = await axios.post(
+        `http://localhost:5000/api/alerts/${alertId}/${action}`,
+        details
       );
+      upsertAlert(response.data);
+    } catch (error) {
+      console.error("Error updating alert:", error);
+      alert(
+        "Error updating alert: " +
+          (error.response?.data?.errors?.join(", ") ||
+            error.response?.data ||
+            error.message)
+      );
+    }
+  };
 
-      if (response.data.done) {
-        stopProcessing();
-        alert("Finished processing all data rows!");
-        return;
-      }
+  // Start a new run over an uploaded dataset
+  const startRunForDataset = async (datasetId) => {
+    try {
+      await stopProcessing();
+      const response = await axios.post("http://localhost:5000/api/runs", {
+        datasetId,
+        ...runOptions,
+      });
+      resetRun(response.data.runId);
+    } catch (error) {
+      console.error("Error creating run:", error);
+      alert(
+        "Error creating run: " +
+          (error.response?.data?.errors?.join(", ") ||
+            error.response?.data ||
+            error.message)
+      );
+    }
+  };
 
-      const newData = response.data.data;
-      setCurrentData(newData);
+  // Process a whole dataset in one pass; progress arrives on the event stream
+  const processDataset = async (datasetId) => {
+    try {
+      await stopProcessing();
+      const response = await axios.post(
+        `http://localhost:5000/api/datasets/${datasetId}/process?async=true`,
+        runOptions
+      );
+      resetRun(response.data.runId);
+    } catch (error) {
+      console.error("Error processing dataset:", error);
+      alert(
+        "Error processing dataset: " +
+          (error.response?.data?.errors?.join(", ") ||
+            error.response?.data ||
+            error.message)
+      );
+    }
+  };
 
-      // Add to historical data
-      setHistoricalData((prev) => [...prev, newData]);
-
-      // Update alerts
-      if (newData.alerts && newData.alerts.length > 0) {
-        const alertArray =
-          typeof newData.alerts === "string"
-            ? newData.alerts.split(", ").filter((alert) => alert)
-            : Array.isArray(newData.alerts)
-            ? newData.alerts
-            : [];
-
-        if (alertArray.length > 0) {
-          setAlertMessages((prev) => [
-            ...prev,
-            {
-              timestamp: newData.timestamp,
-              alerts: alertArray,
-            },
-          ]);
-        }
-      }
+  // Refresh the dataset list after a new column mapping and start a run
+  // once the dataset passes validation
+  const handleMappingSaved = (dataset) => {
+    fetchDatasets();
+    if (dataset.validation.valid) {
+      setMappingDataset(null);
+      startRunForDataset(dataset.id);
+    }
+  };
 
-      // Fetch updated summary
-      fetchSummary();
+  // Delete an uploaded dataset
+  const deleteDatasetById = async (datasetId) => {
+    try {
+      await axios.delete(`http://localhost:5000/api/datasets/${datasetId}`);
+      fetchDatasets();
     } catch (error) {
-      console.error("Error fetching data:", error);
+      console.error("Error deleting dataset:", error);
       alert(
-        "Error fetching data: " +
-          (error.response?.data?.message || error.message)
+        "Error deleting dataset: " + (error.response?.data || error.message)
       );
-      stopProcessing();
     }
   };
 
-  // Fetch summary statistics
-  const fetchSummary = async () => {
+  const isBatchProcessing = runStatus === "processing";
+  const isProcessing = runStatus === "running" || isBatchProcessing;
+
+  // Pause the current run before switching to another one
+  const stopProcessing = async () => {
+    if (!runId || runStatus !== "running") return;
+
     try {
-      const response = await axios.get(
-        `http://localhost:5000/api/data/summary?filePath=${encodeURIComponent(
-          filePath
-        )}`
-      );
-      setSummary(response.data);
+      await axios.post(`http://localhost:5000/api/runs/${runId}/pause`);
     } catch (error) {
-      console.error("Error fetching summary:", error);
+      console.error("Error pausing run:", error);
     }
   };
 
+  // Render the run from its event stream. EventSource reconnects on its own
+  // and resumes from the last event ID it received.
+  useEffect(() => {
+    if (!runId) return;
+
+    // Load the initial position so the timeline is usable before playback
+    axios
+      .get(`http://localhost:5000/api/data/summary?runId=${runId}`)
+      .then((response) => setSummary(response.data))
+      .catch((error) => console.error("Error fetching summary:", error));
+
+    fetchAlerts(runId);
+
+    const source = new EventSource(
+      `http://localhost:5000/api/runs/${runId}/events?lastEventId=${resumeEventId}`
+    );
+
+    source.addEventListener("row", (event) => {
+      const newData = JSON.parse(event.data).data;
+      setCurrentData(newData);
+
+      // Add to historical data, keeping only the latest rows
+      setHistoricalData((prev) => [...prev, newData].slice(-HISTORY_ROWS));
+    });
+
+    source.addEventListener("alert", (event) => {
+      // Alerts are sent when raised, cleared, acknowledged and resolved
+      upsertAlert(JSON.parse(event.data).alert);
+    });
+
+    source.addEventListener("summary", (event) => {
+      setSummary(JSON.parse(event.data));
+    });
+
+    source.addEventListener("progress", (event) => {
+      setBatchProgress(JSON.parse(event.data));
+    });
+
+    source.addEventListener("state", (event) => {
+      const { status, speed } = JSON.parse(event.data);
+      setRunStatus(status);
+      setRunSpeed(speed);
+    });
+
+    // After a seek the server sends the rows leading up to the new position
+    source.addEventListener("seek", (event) => {
+      const { rows, summary: seekSummary } = JSON.parse(event.data);
+      setHistoricalData(rows);
+      setCurrentData(rows.length > 0 ? rows[rows.length - 1] : null);
+      setSummary(seekSummary);
+      fetchAlerts(runId);
+    });
+
+    source.addEventListener("done", (event) => {
+      setSummary(JSON.parse(event.data));
+      fetchAlerts(runId);
+      alert("Finished processing all data rows!");
+    });
+
+    return () => source.close();
+  }, [runId, resumeEventId]);
+
   // Download processed Excel file
+  // Save a blob response under the name the server gave it
+  const saveDownload = (response, fallbackName) => {
+    const fileName =
+      response.headers["content-disposition"]?.match(
+        /filename="?([^";]+)"?/
+      )?.[1] || fallbackName;
+
+    const url = window.URL.createObjectURL(new Blob([response.data]));
+    const link = document.createElement("a");
+    link.href = url;
+    link.setAttribute("download", fileName);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  };
+
   const downloadProcessedFile = async () => {
     try {
       const response = await axios.get(
-        `http://localhost:5000/api/download?filePath=${encodeURIComponent(
-          filePath
-        )}`,
+        `http://localhost:5000/api/download?runId=${runId}`,
         { responseType: "blob" }
       );
 
-      const url = window.URL.createObjectURL(new Blob([response.data]));
-      const link = document.createElement("a");
-      link.href = url;
-      link.setAttribute("download", "processed_data.xlsx");
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
+      // The server names the file after the format that was uploaded
+      saveDownload(response, "processed_data.xlsx");
     } catch (error) {
       console.error("Error downloading file:", error);
       if (error.response) {
@@ -224,13 +413,65 @@ const App = () => {
     }
   };
 
-  // Clean up on component unmount
+  // Rainflow-counted battery cycles of the run as CSV
+  const downloadCycleHistory = async () => {
+    try {
+      const response = await axios.get(
+        `http://localhost:5000/api/runs/${runId}/cycles?format=csv`,
+        { responseType: "blob" }
+      );
+      saveDownload(response, "battery_cycles.csv");
+    } catch (error) {
+      console.error("Error downloading cycle history:", error);
+      alert(`Error downloading cycle history: ${error.message}`);
+    }
+  };
+
+  // Fetch system configuration
+  const fetchConfig = async () => {
+    try {
+      const response = await axios.get("http://localhost:5000/api/config");
+      setConfig(response.data);
+    } catch (error) {
+      console.error("Error fetching config:", error);
+    }
+  };
+
+  // Issue a new forecast every few rows and whenever the run is rewound; the
+  // server scores each one against the rows that follow
+  const hasProcessedRows = Boolean(summary?.current_row);
+  const forecastRefresh = Math.floor(
+    (summary?.current_row || 0) / FORECAST_REFRESH_ROWS
+  );
   useEffect(() => {
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
-    };
+    if (!runId || !hasProcessedRows) {
+      setForecast(null);
+      return;
+    }
+
+    axios
+      .post(`http://localhost:5000/api/runs/${runId}/forecast`, {
+        hours: FORECAST_HOURS,
+        model: forecastModel,
+      })
+      .then((response) => setForecast(response.data))
+      .catch((error) => console.error("Error fetching forecast:", error));
+  }, [runId, hasProcessedRows, forecastRefresh, forecastModel]);
+
+  // History followed by forecast points, for overlaying on a chart
+  const withForecast = (key) => [
+    ...historicalData,
+    ...(forecast?.points || []).map((point) => ({
+      timestamp: point.timestamp,
+      [`forecast_${key}`]: point[key],
+    })),
+  ];
+
+  // Load datasets and settings on mount
+  useEffect(() => {
+    fetchDatasets();
+    fetchConfig();
+    fetchAlerts();
   }, []);
 
   // Get color for power source badge
@@ -244,32 +485,37 @@ const App = () => {
         return "bg-green-500";
       case "Battery":
         return "bg-purple-500";
+      case "Solar+Battery":
       case "Battery+Solar":
         return "bg-pink-500";
+      case "Grid+Battery":
+        return "bg-indigo-500";
+      case "Solar+Grid+Battery":
+        return "bg-teal-500";
       default:
         return "bg-red-500";
     }
   };
 
   // Get grid status badge color
-  const getGridStatusColor = (status) => {
-    switch (status) {
-      case "normal":
-        return "bg-green-500";
-      case "voltage_fluctuation":
-        return "bg-yellow-500";
-      case "power_off":
-        return "bg-red-500";
-      default:
-        return "bg-gray-500";
-    }
-  };
+  const getGridStatusColor = (status) => gridStateInfo(status).badge;
+
+  // Format an amount in the run's tariff currency
+  const formatMoney = (value) =>
+    value == null
+      ? "N/A"
+      : value.toLocaleString(undefined, {
+          style: "currency",
+          currency: summary?.currency || "USD",
+          minimumFractionDigits: 2,
+          maximumFractionDigits: 4,
+        });
 
   // Render power gauge based on current demand
   const renderPowerGauge = () => {
     if (!currentData) return null;
 
-    const maxPower = 5000; // Assuming 5kW max for visual scale
+    const maxPower = config?.gaugeMaxWatts || 5000; // Visual scale
     const percentage = Math.min(
       (currentData.household_power_demand_watts / maxPower) * 100,
       100
@@ -295,6 +541,23 @@ const App = () => {
           <CardTitle className="text-2xl flex items-center">
             <Zap className="mr-2" />
             Smart Grid Energy Manager
+            <Button
+              size="sm"
+              variant={showCompare ? "default" : "outline"}
+              className="ml-auto mr-2"
+              onClick={() => setShowCompare((prev) => !prev)}
+            >
+              <GitCompare className="mr-2 h-4 w-4" />
+              Compare
+            </Button>
+            <Button
+              size="sm"
+              variant={showSettings ? "default" : "outline"}
+              onClick={() => setShowSettings((prev) => !prev)}
+            >
+              <Settings className="mr-2 h-4 w-4" />
+              Settings
+            </Button>
           </CardTitle>
           <CardDescription>
             Real-time monitoring and management of smart grid energy data
@@ -304,86 +567,242 @@ const App = () => {
           <div className="flex flex-col sm:flex-row gap-4 mb-4">
             <div className="flex-1">
               <label className="block mb-2 text-sm font-medium">
-                Upload Excel Data File
+                Upload Data File (Excel, CSV, JSON or NDJSON)
               </label>
               <input
                 type="file"
-                accept=".xlsx,.xls"
+                accept=".xlsx,.xls,.csv,.tsv,.txt,.json,.ndjson,.jsonl"
                 onChange={handleFileChange}
                 className="block w-full text-sm border border-gray-300 rounded-lg p-2"
               />
+              {isCsvFile && (
+                <div className="flex gap-4 mt-2 text-sm">
+                  <label>
+                    Delimiter{" "}
+                    <select
+                      value={csvOptions.delimiter}
+                      onChange={(e) =>
+                        setCsvOptions((prev) => ({
+                          ...prev,
+                          delimiter: e.target.value,
+                        }))
+                      }
+                      className="border border-gray-300 rounded p-1"
+                    >
+                      <option value="">Auto-detect</option>
+                      <option value=",">Comma (,)</option>
+                      <option value=";">Semicolon (;)</option>
+                      <option value="\t">Tab</option>
+                      <option value="|">Pipe (|)</option>
+                    </select>
+                  </label>
+                  <label>
+                    Decimal separator{" "}
+                    <select
+                      value={csvOptions.decimalSeparator}
+                      onChange={(e) =>
+                        setCsvOptions((prev) => ({
+                          ...prev,
+                          decimalSeparator: e.target.value,
+                        }))
+                      }
+                      className="border border-gray-300 rounded p-1"
+                    >
+                      <option value=".">Point (.)</option>
+                      <option value=",">Comma (,)</option>
+                    </select>
+                  </label>
+                </div>
+              )}
             </div>
             <div className="flex flex-wrap items-end gap-2">
               <Button onClick={handleUpload} disabled={!file || isProcessing}>
                 <FileSpreadsheet className="mr-2 h-4 w-4" />
                 Upload
               </Button>
-              {filePath && (
-                <>
-                  <Button
-                    onClick={startProcessing}
-                    disabled={isProcessing}
-                    className="bg-green-600 hover:bg-green-700"
-                  >
-                    Start
-                  </Button>
-                  <Button
-                    onClick={stopProcessing}
-                    disabled={!isProcessing}
-                    className="bg-red-600 hover:bg-red-700"
-                  >
-                    Stop
-                  </Button>
-                  <Button
-                    onClick={downloadProcessedFile}
-                    className="bg-purple-600 hover:bg-purple-700"
-                    disabled={!summary || summary.current_row === 0}
-                  >
-                    Download Results
-                  </Button>
-                </>
+              {runId && (
+                <Button
+                  onClick={downloadProcessedFile}
+                  className="bg-purple-600 hover:bg-purple-700"
+                  disabled={!summary || summary.current_row === 0}
+                >
+                  Download Results
+                </Button>
               )}
             </div>
           </div>
 
-          {filePath && (
-            <div className="flex gap-2 mb-4">
-              <div className="text-sm">Simulation Speed:</div>
-              <Button
-                size="sm"
-                variant={processingSpeed === 5000 ? "default" : "outline"}
-                onClick={() => changeProcessingSpeed(5000)}
-                disabled={isProcessing}
-              >
-                Fast (5s)
-              </Button>
-              <Button
-                size="sm"
-                variant={processingSpeed === 20000 ? "default" : "outline"}
-                onClick={() => changeProcessingSpeed(20000)}
-                disabled={isProcessing}
-              >
-                Normal (20s)
-              </Button>
-              <Button
-                size="sm"
-                variant={processingSpeed === 60000 ? "default" : "outline"}
-                onClick={() => changeProcessingSpeed(60000)}
-                disabled={isProcessing}
-              >
-                Slow (60s)
-              </Button>
+          <StrategySelector
+            value={runOptions}
+            onChange={setRunOptions}
+            disabled={isProcessing}
+          />
+
+          {datasets.length > 0 && (
+            <div className="mb-4">
+              <h4 className="text-sm font-medium mb-2">Uploaded Datasets</h4>
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left p-2">Name</th>
+                    <th className="text-left p-2">Rows</th>
+                    <th className="text-left p-2">Size</th>
+                    <th className="text-left p-2">Uploaded</th>
+                    <th className="text-left p-2">Validation</th>
+                    <th className="p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {datasets.map((dataset) => (
+                    <tr key={dataset.id} className="border-b">
+                      <td className="p-2">{dataset.originalName}</td>
+                      <td className="p-2">
+                        {dataset.rowCount}
+                        {dataset.timeline?.intervalSeconds != null &&
+                          ` × ${formatDuration(
+                            dataset.timeline.intervalSeconds
+                          )}`}
+                      </td>
+                      <td className="p-2">
+                        {(dataset.size / 1024).toFixed(1)} KB
+                      </td>
+                      <td className="p-2">
+                        {new Date(dataset.uploadedAt).toLocaleString()}
+                      </td>
+                      <td className="p-2">
+                        {dataset.validation?.valid === false ? (
+                          <span className="text-red-600">
+                            {dataset.validation.missingColumns.length > 0
+                              ? "Unmapped columns"
+                              : `${dataset.validation.failingRowCount} failing rows`}
+                          </span>
+                        ) : (
+                          <span className="text-green-600">Valid</span>
+                        )}
+                        {dataset.timeline &&
+                          dataset.timeline.gapCount +
+                            dataset.timeline.duplicateCount +
+                            dataset.timeline.outOfOrderCount >
+                            0 && (
+                            <span
+                              className="block text-xs text-yellow-700"
+                              title={JSON.stringify(
+                                {
+                                  gaps: dataset.timeline.gaps,
+                                  duplicates: dataset.timeline.duplicates,
+                                  outOfOrder: dataset.timeline.outOfOrder,
+                                },
+                                null,
+                                2
+                              )}
+                            >
+                              {dataset.timeline.gapCount} gaps,{" "}
+                              {dataset.timeline.duplicateCount} duplicates,{" "}
+                              {dataset.timeline.outOfOrderCount} out of order
+                            </span>
+                          )}
+                      </td>
+                      <td className="p-2 flex gap-2 justify-end">
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => setMappingDataset(dataset)}
+                          disabled={isProcessing || !dataset.validation}
+                        >
+                          Columns
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => startRunForDataset(dataset.id)}
+                          disabled={
+                            isProcessing || dataset.validation?.valid === false
+                          }
+                        >
+                          New Run
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => processDataset(dataset.id)}
+                          disabled={
+                            isProcessing || dataset.validation?.valid === false
+                          }
+                        >
+                          Process All
+                        </Button>
+                        <Button
+                          size="sm"
+                          variant="outline"
+                          onClick={() => deleteDatasetById(dataset.id)}
+                          disabled={isProcessing}
+                        >
+                          Delete
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
             </div>
           )}
 
+          <RunHistory
+            currentRunId={runId}
+            refreshKey={`${runId}:${runStatus}:${datasets.length}`}
+            onOpen={openRun}
+            disabled={isProcessing}
+          />
+
+          {isBatchProcessing && (
+            <div className="mb-4 text-sm">
+              <p className="mb-2">
+                Processing entire file: {batchProgress?.processed ?? 0} of{" "}
+                {batchProgress?.total ?? summary?.total_rows ?? "?"} rows
+              </p>
+              <Progress
+                value={
+                  batchProgress
+                    ? (batchProgress.processed / batchProgress.total) * 100
+                    : 0
+                }
+                className="h-2"
+              />
+            </div>
+          )}
+
+          {runId && !isBatchProcessing && (
+            <PlaybackControls
+              runId={runId}
+              status={runStatus}
+              speed={runSpeed}
+              currentRow={summary?.current_row}
+              totalRows={summary?.total_rows}
+              intervalSeconds={summary?.data_interval_seconds}
+            />
+          )}
+
           {summary && (
             <div className="mb-4 text-sm">
               <p>
                 Processing row {summary.current_row} of {summary.total_rows}
               </p>
+              <p>
+                Data time: {formatDuration(summary.data_elapsed_seconds)}
+                {summary.data_interval_seconds != null &&
+                  ` (rows every ${formatDuration(
+                    summary.data_interval_seconds
+                  )})`}
+              </p>
+              <p>Strategy: {summary.strategy}</p>
               <p>
                 Battery discharge cycles: {summary.battery_discharge_cycles}
               </p>
+              <p>
+                Unserved energy: {summary.total_unserved_kwh.toFixed(3)} kWh
+                (critical {summary.total_critical_unserved_kwh.toFixed(3)} kWh,{" "}
+                {summary.shed_event_count} shed events)
+              </p>
             </div>
           )}
 
@@ -424,7 +843,7 @@ const App = () => {
                     currentData.grid_status
                   )}`}
                 >
-                  Grid: {currentData.grid_status.replace("_", " ")}
+                  Grid: {gridStateInfo(currentData.grid_status).label}
                 </span>
               </div>
             </div>
@@ -432,9 +851,29 @@ const App = () => {
         </CardContent>
       </Card>
 
+      {mappingDataset && (
+        <ColumnMappingDialog
+          key={mappingDataset.id}
+          dataset={mappingDataset}
+          onClose={() => setMappingDataset(null)}
+          onSaved={handleMappingSaved}
+        />
+      )}
+
+      {showSettings && (
+        <>
+          <SettingsPanel onSaved={setConfig} />
+          <TariffEditor />
+          <ThermalProfileEditor />
+          <WebhookSettings />
+        </>
+      )}
+
+      {showCompare && <ScenarioCompare datasets={datasets} />}
+
       {currentData && (
         <Tabs defaultValue="household">
-          <TabsList className="grid grid-cols-6 mb-6">
+          <TabsList className="grid grid-cols-7 mb-6">
             <TabsTrigger value="household">
               <Home className="mr-2 h-4 w-4" /> Household
             </TabsTrigger>
@@ -450,6 +889,9 @@ const App = () => {
             <TabsTrigger value="alerts">
               <AlertTriangle className="mr-2 h-4 w-4" /> Alerts
             </TabsTrigger>
+            <TabsTrigger value="cost">
+              <DollarSign className="mr-2 h-4 w-4" /> Cost
+            </TabsTrigger>
             <TabsTrigger value="logs">
               <ListFilter className="mr-2 h-4 w-4" /> Logs
             </TabsTrigger>
@@ -513,6 +955,22 @@ const App = () => {
                           : "Inactive"}
                       </span>
                     </div>
+                    <div
+                      className={`p-2 rounded mt-2 ${
+                        currentData.load_shed_level === "none"
+                          ? "bg-green-100"
+                          : "bg-red-100"
+                      }`}
+                    >
+                      <span className="font-medium">Load Shedding: </span>
+                      <span>
+                        {currentData.load_shed_level === "none"
+                          ? "All loads supplied"
+                          : `${currentData.load_shed_level} (${(
+                              currentData.unserved_energy_kwh * 1000
+                            ).toFixed(2)} Wh unserved)`}
+                      </span>
+                    </div>
                   </div>
                 </CardContent>
               </Card>
@@ -523,7 +981,9 @@ const App = () => {
                 </CardHeader>
                 <CardContent className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={historicalData}>
+                    <LineChart
+                      data={withForecast("household_power_demand_watts")}
+                    >
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="timestamp" />
                       <YAxis />
@@ -535,10 +995,79 @@ const App = () => {
                         name="Power Demand (W)"
                         stroke="#8884d8"
                       />
+                      <Line
+                        type="monotone"
+                        dataKey="forecast_household_power_demand_watts"
+                        name="Forecast (W)"
+                        stroke="#8884d8"
+                        strokeDasharray="5 5"
+                        dot={false}
+                      />
                     </LineChart>
                   </ResponsiveContainer>
                 </CardContent>
               </Card>
+
+              <Card className="md:col-span-2">
+                <CardHeader>
+                  <CardTitle>Served and Shed Load</CardTitle>
+                  <CardDescription>
+                    Heavy appliances are shed first, the critical floor last
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <AreaChart
+                      data={historicalData.map((row) => ({
+                        timestamp: row.timestamp,
+                        served:
+                          row.total_consumption_kwh - row.unserved_energy_kwh,
+                        shed_heavy: row.shed_heavy_kwh,
+                        shed_noncritical: row.shed_noncritical_kwh,
+                        critical_unserved: row.critical_unserved_kwh,
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="timestamp" />
+                      <YAxis tickFormatter={(value) => value.toFixed(2)} />
+                      <Tooltip formatter={(value) => value.toFixed(3)} />
+                      <Legend />
+                      <Area
+                        type="stepAfter"
+                        dataKey="served"
+                        name="Served (kWh)"
+                        stackId="load"
+                        stroke="#4BC0C0"
+                        fill="#4BC0C0"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="shed_heavy"
+                        name="Shed heavy (kWh)"
+                        stackId="load"
+                        stroke="#FF9F40"
+                        fill="#FF9F40"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="shed_noncritical"
+                        name="Shed non-critical (kWh)"
+                        stackId="load"
+                        stroke="#FF6384"
+                        fill="#FF6384"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="critical_unserved"
+                        name="Critical unserved (kWh)"
+                        stackId="load"
+                        stroke="#9B1C1C"
+                        fill="#9B1C1C"
+                      />
+                    </AreaChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
             </div>
           </TabsContent>
 
@@ -563,9 +1092,17 @@ const App = () => {
                         }`}
                       />
                       <span className="ml-2">
-                        {currentData.battery_percent}%
+                        {currentData.battery_percent.toFixed(1)}%
                       </span>
                     </div>
+                    {currentData.measured_battery_percent != null && (
+                      <div className="text-xs text-gray-500 mt-1">
+                        Measured: {currentData.measured_battery_percent}% (
+                        {currentData.battery_percent_deviation >= 0 ? "+" : ""}
+                        {currentData.battery_percent_deviation.toFixed(1)}%
+                        model deviation)
+                      </div>
+                    )}
                   </div>
 
                   <div className="grid grid-cols-2 gap-4 mb-4">
@@ -584,16 +1121,12 @@ const App = () => {
                       </div>
                     </div>
                     <div className="p-3 bg-gray-100 rounded">
-                      <div className="text-sm font-medium">Efficiency</div>
+                      <div className="text-sm font-medium">State of Health</div>
                       <div className="text-lg">
-                        <div className="text-sm">
-                          Battery Efficiency:{" "}
-                          <span className="font-semibold">
-                            {currentData?.battery_efficiency?.toFixed(2) ??
-                              "N/A"}
-                            %
-                          </span>
-                        </div>
+                        {currentData.state_of_health_percent.toFixed(2)}%
+                      </div>
+                      <div className="text-sm">
+                        {currentData.usable_capacity_kwh.toFixed(2)} kWh usable
                       </div>
                     </div>
                   </div>
@@ -612,19 +1145,27 @@ const App = () => {
                   </div>
 
                   <div className="p-3 bg-gray-100 rounded">
-                    <div className="text-sm font-medium">
-                      // Continue from the Battery section
-                      <div className="text-sm font-medium">Health Status</div>
-                      <div className="text-lg">
-                        {currentData.battery_efficiency > 95
-                          ? "Excellent"
-                          : currentData.battery_efficiency > 85
-                          ? "Good"
-                          : currentData.battery_efficiency > 75
-                          ? "Fair"
-                          : "Poor"}
-                      </div>
+                    <div className="text-sm font-medium">Health Status</div>
+                    <div className="text-lg">
+                      {currentData.state_of_health_percent > 95
+                        ? "Excellent"
+                        : currentData.state_of_health_percent > 90
+                        ? "Good"
+                        : currentData.state_of_health_percent > 80
+                        ? "Fair"
+                        : "Poor"}
+                    </div>
+                    <div className="text-sm mb-2">
+                      {currentData.equivalent_full_cycles.toFixed(2)} equivalent
+                      full cycles
                     </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={downloadCycleHistory}
+                    >
+                      Export Cycle History
+                    </Button>
                   </div>
                 </CardContent>
               </Card>
@@ -647,10 +1188,22 @@ const App = () => {
                         name="Battery Level (%)"
                         stroke="#8884d8"
                       />
+                      <Line
+                        type="monotone"
+                        dataKey="measured_battery_percent"
+                        name="Measured Level (%)"
+                        stroke="#82ca9d"
+                        strokeDasharray="5 5"
+                      />
                     </LineChart>
                   </ResponsiveContainer>
                 </CardContent>
               </Card>
+
+              <ThermalDeratingChart
+                runId={runId}
+                temperature={currentData.battery_temperature_celsius}
+              />
             </div>
           </TabsContent>
 
@@ -665,7 +1218,11 @@ const App = () => {
                     <h4 className="text-sm font-medium mb-1">Current Output</h4>
                     <div className="flex items-center">
                       <Progress
-                        value={(currentData.solar_input_watts / 5000) * 100}
+                        value={
+                          (currentData.solar_input_watts /
+                            (config?.gaugeMaxWatts || 5000)) *
+                          100
+                        }
                         className="h-4"
                       />
                       <span className="ml-2 text-sm">
@@ -711,7 +1268,7 @@ const App = () => {
                 </CardHeader>
                 <CardContent className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
-                    <LineChart data={historicalData}>
+                    <LineChart data={withForecast("solar_input_watts")}>
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="timestamp" />
                       <YAxis />
@@ -723,10 +1280,92 @@ const App = () => {
                         name="Solar Output (W)"
                         stroke="#FFB347"
                       />
+                      <Line
+                        type="monotone"
+                        dataKey="forecast_solar_input_watts"
+                        name="Forecast (W)"
+                        stroke="#FFB347"
+                        strokeDasharray="5 5"
+                        dot={false}
+                      />
                     </LineChart>
                   </ResponsiveContainer>
                 </CardContent>
               </Card>
+
+              <ForecastPanel
+                forecast={forecast}
+                model={forecastModel}
+                onModelChange={setForecastModel}
+                hours={FORECAST_HOURS}
+              />
+
+              <Card className="md:col-span-2">
+                <CardHeader>
+                  <CardTitle>Solar Energy Balance</CardTitle>
+                  <CardDescription>
+                    Where each step's solar went, against grid import
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart
+                      data={historicalData.map((row) => ({
+                        timestamp: row.timestamp,
+                        used: row.solar_contribution,
+                        stored: row.battery_charge_kwh - row.grid_charge_kwh,
+                        exported: row.grid_export_kwh,
+                        curtailed: row.curtailed_solar_kwh,
+                        imported: row.grid_import_kwh,
+                      }))}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="timestamp" />
+                      <YAxis tickFormatter={(value) => value.toFixed(2)} />
+                      <Tooltip formatter={(value) => value.toFixed(3)} />
+                      <Legend />
+                      <Area
+                        type="stepAfter"
+                        dataKey="used"
+                        name="Used by home (kWh)"
+                        stackId="solar"
+                        stroke="#FFB347"
+                        fill="#FFB347"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="stored"
+                        name="Stored (kWh)"
+                        stackId="solar"
+                        stroke="#4BC0C0"
+                        fill="#4BC0C0"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="exported"
+                        name="Exported (kWh)"
+                        stackId="solar"
+                        stroke="#9966FF"
+                        fill="#9966FF"
+                      />
+                      <Area
+                        type="stepAfter"
+                        dataKey="curtailed"
+                        name="Curtailed (kWh)"
+                        stackId="solar"
+                        stroke="#C9CBCF"
+                        fill="#C9CBCF"
+                      />
+                      <Line
+                        type="stepAfter"
+                        dataKey="imported"
+                        name="Grid import (kWh)"
+                        stroke="#36A2EB"
+                      />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
             </div>
           </TabsContent>
 
@@ -740,23 +1379,15 @@ const App = () => {
                   <div className="mb-4">
                     <div
                       className={`p-4 rounded-md mb-4 ${
-                        currentData.grid_status === "normal"
-                          ? "bg-green-100"
-                          : currentData.grid_status === "voltage_fluctuation"
-                          ? "bg-yellow-100"
-                          : "bg-red-100"
+                        gridStateInfo(currentData.grid_status).panel
                       }`}
                     >
                       <h3 className="text-lg font-medium mb-1">
                         Current Status:{" "}
-                        {currentData.grid_status.replace("_", " ")}
+                        {gridStateInfo(currentData.grid_status).label}
                       </h3>
                       <p>
-                        {currentData.grid_status === "normal"
-                          ? "Grid is operating normally"
-                          : currentData.grid_status === "voltage_fluctuation"
-                          ? "Experiencing voltage fluctuations - using backup where needed"
-                          : "Grid power unavailable - using backup systems"}
+                        {gridStateInfo(currentData.grid_status).description}
                       </p>
                     </div>
                   </div>
@@ -777,12 +1408,44 @@ const App = () => {
                       </div>
                     </div>
                   </div>
+
+                  {summary && (
+                    <div>
+                      <h4 className="text-sm font-medium mb-2">Net Metering</h4>
+                      <div className="grid grid-cols-2 gap-2 text-sm">
+                        <div className="p-2 bg-blue-100 rounded">
+                          <div className="font-medium">Imported</div>
+                          <div>
+                            {summary.total_grid_import_kwh.toFixed(3)} kWh
+                          </div>
+                        </div>
+                        <div className="p-2 bg-purple-100 rounded">
+                          <div className="font-medium">Exported</div>
+                          <div>
+                            {summary.total_grid_export_kwh.toFixed(3)} kWh
+                          </div>
+                        </div>
+                        <div className="p-2 bg-gray-100 rounded">
+                          <div className="font-medium">Net import</div>
+                          <div>
+                            {summary.net_grid_import_kwh.toFixed(3)} kWh
+                          </div>
+                        </div>
+                        <div className="p-2 bg-gray-100 rounded">
+                          <div className="font-medium">Curtailed solar</div>
+                          <div>
+                            {summary.total_curtailed_solar_kwh.toFixed(3)} kWh
+                          </div>
+                        </div>
+                      </div>
+                    </div>
+                  )}
                 </CardContent>
               </Card>
 
               <Card>
                 <CardHeader>
-                  <CardTitle>Grid Consumption History</CardTitle>
+                  <CardTitle>Grid Import and Export History</CardTitle>
                 </CardHeader>
                 <CardContent className="h-64">
                   <ResponsiveContainer width="100%" height="100%">
@@ -793,59 +1456,108 @@ const App = () => {
                         tickFormatter={(value) => (value * 1000).toFixed(2)}
                       />
                       <Tooltip
-                        formatter={(value) => [
-                          (value * 1000).toFixed(2),
-                          "Grid Usage (kWh)",
-                        ]}
+                        formatter={(value) => (value * 1000).toFixed(2)}
                       />
                       <Legend />
                       <Line
                         type="monotone"
-                        dataKey="grid_contribution"
-                        name="Grid Usage (kWh)"
+                        dataKey="grid_import_kwh"
+                        name="Import (kWh)"
                         stroke="#36A2EB"
                       />
+                      <Line
+                        type="monotone"
+                        dataKey="grid_export_kwh"
+                        name="Export (kWh)"
+                        stroke="#9966FF"
+                      />
                     </LineChart>
                   </ResponsiveContainer>
                 </CardContent>
               </Card>
+
+              <OutageTimeline
+                runId={runId}
+                totalRows={summary?.total_rows || 1}
+                refreshKey={`${summary?.outage_count}:${summary?.planned_outage_count}:${summary?.outage_ongoing}:${runStatus}`}
+              />
             </div>
           </TabsContent>
 
           <TabsContent value="alerts">
-            <Card>
-              <CardHeader>
-                <CardTitle>System Alerts</CardTitle>
-              </CardHeader>
-              <CardContent>
-                {alertMessages.length > 0 ? (
-                  <div className="space-y-4">
-                    {alertMessages
-                      .slice()
-                      .reverse()
-                      .map((item, index) => (
-                        <Alert key={index} variant="destructive">
-                          <AlertCircle className="h-4 w-4" />
-                          <AlertTitle>Alert at {item.timestamp}</AlertTitle>
-                          <AlertDescription>
-                            <ul className="list-disc pl-5 mt-2">
-                              {Array.isArray(item.alerts) ? (
-                                item.alerts.map((alert, i) => (
-                                  <li key={i}>{alert}</li>
-                                ))
-                              ) : (
-                                <li>{item.alerts}</li>
-                              )}
-                            </ul>
-                          </AlertDescription>
-                        </Alert>
-                      ))}
+            <AlertList alerts={alerts} onAction={handleAlertAction} />
+          </TabsContent>
+
+          <TabsContent value="cost">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+              <Card>
+                <CardHeader>
+                  <CardTitle>Energy Cost</CardTitle>
+                </CardHeader>
+                <CardContent>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="p-3 bg-blue-100 rounded">
+                      <div className="text-sm font-medium">Grid Cost</div>
+                      <div className="text-lg">
+                        {formatMoney(summary?.total_grid_cost)}
+                      </div>
+                    </div>
+                    <div className="p-3 bg-gray-100 rounded">
+                      <div className="text-sm font-medium">Grid-only Cost</div>
+                      <div className="text-lg">
+                        {formatMoney(summary?.total_grid_only_cost)}
+                      </div>
+                    </div>
+                    <div className="p-3 bg-green-100 rounded">
+                      <div className="text-sm font-medium">Savings</div>
+                      <div className="text-lg">
+                        {formatMoney(summary?.total_savings)}
+                      </div>
+                    </div>
+                    <div className="p-3 bg-yellow-100 rounded">
+                      <div className="text-sm font-medium">Export Credit</div>
+                      <div className="text-lg">
+                        {formatMoney(summary?.total_export_credit)}
+                      </div>
+                    </div>
                   </div>
-                ) : (
-                  <p>No alerts to display.</p>
-                )}
-              </CardContent>
-            </Card>
+                  <div className="text-sm text-gray-500 mt-4">
+                    Current step: {formatMoney(currentData.grid_cost)} (saved{" "}
+                    {formatMoney(currentData.savings_vs_grid_only)})
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Cumulative Cost</CardTitle>
+                </CardHeader>
+                <CardContent className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={historicalData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="timestamp" />
+                      <YAxis tickFormatter={(value) => value.toFixed(2)} />
+                      <Tooltip formatter={(value) => formatMoney(value)} />
+                      <Legend />
+                      <Line
+                        type="monotone"
+                        dataKey="cumulative_grid_cost"
+                        name="Grid Cost"
+                        stroke="#36A2EB"
+                      />
+                      <Line
+                        type="monotone"
+                        dataKey="cumulative_grid_only_cost"
+                        name="Grid-only Cost"
+                        stroke="#FF6384"
+                        strokeDasharray="5 5"
+                      />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+            </div>
           </TabsContent>
 
           <TabsContent value="logs">
@@ -881,7 +1593,8 @@ const App = () => {
                             </span>
                           </td>
                           <td className="p-2">
-                            {row.battery_percent}% ({row.battery_action})
+                            {row.battery_percent.toFixed(1)}% (
+                            {row.battery_action})
                           </td>
                           <td className="p-2">
                             {row.weather_condition},{" "}
@@ -893,7 +1606,7 @@ const App = () => {
                                 row.grid_status
                               )}`}
                             >
-                              {row.grid_status.replace("_", " ")}
+                              {gridStateInfo(row.grid_status).label}
                             </span>
                           </td>
                         </tr>
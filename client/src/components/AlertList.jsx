@@ -0,0 +1,190 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle, AlertTriangle, Info } from "lucide-react";
+
+const SEVERITIES = [
+  { id: "critical", label: "Critical", icon: AlertCircle },
+  { id: "warning", label: "Warning", icon: AlertTriangle },
+  { id: "info", label: "Info", icon: Info },
+];
+
+const ACTION_LABELS = {
+  acknowledge: "Acknowledged",
+  resolve: "Resolved",
+};
+
+// Wall-clock time an alert was raised or cleared
+const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : "-");
+
+// Alerts still needing attention first, then newest first
+function byUrgency(a, b) {
+  const rank = (alert) => (alert.status === "resolved" ? 1 : 0);
+  return (
+    rank(a) - rank(b) ||
+    Date.parse(b.raised_at) - Date.parse(a.raised_at) ||
+    b.source_row - a.source_row
+  );
+}
+
+// Alerts grouped by severity, with acknowledge and resolve actions recorded
+// against the operator's name so the next shift can see what was handled
+const AlertList = ({ alerts, onAction }) => {
+  const [operator, setOperator] = useState("");
+  const [notes, setNotes] = useState({});
+  const [showResolved, setShowResolved] = useState(false);
+
+  const act = async (alertId, action) => {
+    await onAction(alertId, action, {
+      by: operator,
+      note: notes[alertId] || "",
+    });
+    setNotes((prev) => ({ ...prev, [alertId]: "" }));
+  };
+
+  const visible = showResolved
+    ? alerts
+    : alerts.filter((alert) => alert.status !== "resolved");
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>System Alerts</CardTitle>
+          <CardDescription>
+            {alerts.filter((alert) => alert.status === "open").length} open,{" "}
+            {alerts.filter((alert) => alert.status === "acknowledged").length}{" "}
+            acknowledged,{" "}
+            {alerts.filter((alert) => alert.status === "resolved").length}{" "}
+            resolved
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="flex flex-wrap items-center gap-4">
+          <label className="text-sm">
+            Operator{" "}
+            <input
+              type="text"
+              value={operator}
+              onChange={(e) => setOperator(e.target.value)}
+              placeholder="Your name"
+              className="border border-gray-300 rounded-lg p-1 ml-1"
+            />
+          </label>
+          <label className="text-sm">
+            <input
+              type="checkbox"
+              checked={showResolved}
+              onChange={(e) => setShowResolved(e.target.checked)}
+              className="mr-1"
+            />
+            Show resolved
+          </label>
+          {visible.length === 0 && <p>No alerts to display.</p>}
+        </CardContent>
+      </Card>
+
+      {SEVERITIES.map((severity) => {
+        const { id, label, icon: Icon } = severity;
+        const group = visible
+          .filter((alert) => alert.severity === id)
+          .sort(byUrgency);
+        if (group.length === 0) return null;
+        const activeCount = group.filter((alert) => alert.active).length;
+
+        return (
+          <Card key={id}>
+            <CardHeader>
+              <CardTitle>{label}</CardTitle>
+              <CardDescription>
+                {activeCount} active, {group.length - activeCount} cleared
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              {group.map((alert) => (
+                <Alert
+                  key={alert.id}
+                  variant={
+                    id === "critical" && alert.status === "open"
+                      ? "destructive"
+                      : "default"
+                  }
+                  className={alert.status === "resolved" ? "opacity-60" : ""}
+                >
+                  <Icon className="h-4 w-4" />
+                  <AlertTitle>
+                    {alert.code} ({alert.status}
+                    {alert.active ? ", active" : ""})
+                  </AlertTitle>
+                  <AlertDescription>
+                    <p>{alert.message}</p>
+                    <p className="text-xs mt-1">
+                      Row {alert.source_row + 1} · first seen {alert.first_seen}
+                      {alert.active
+                        ? " · ongoing"
+                        : ` · last seen ${
+                            alert.last_seen
+                          } · cleared ${formatTime(alert.cleared_at)}`}
+                    </p>
+                    {alert.actions.length > 0 && (
+                      <ul className="text-xs mt-1">
+                        {alert.actions.map((action, i) => (
+                          <li key={i}>
+                            {ACTION_LABELS[action.action]} by {action.by} at{" "}
+                            {new Date(action.at).toLocaleString()}
+                            {action.note && `: ${action.note}`}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {alert.status !== "resolved" && (
+                      <div className="flex flex-wrap items-center gap-2 mt-2">
+                        <input
+                          type="text"
+                          value={notes[alert.id] || ""}
+                          onChange={(e) =>
+                            setNotes((prev) => ({
+                              ...prev,
+                              [alert.id]: e.target.value,
+                            }))
+                          }
+                          placeholder="Note (optional)"
+                          className="border border-gray-300 rounded-lg p-1 text-sm"
+                        />
+                        {alert.status === "open" && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            disabled={!operator.trim()}
+                            onClick={() => act(alert.id, "ack")}
+                          >
+                            Acknowledge
+                          </Button>
+                        )}
+                        <Button
+                          size="sm"
+                          disabled={!operator.trim()}
+                          onClick={() => act(alert.id, "resolve")}
+                        >
+                          Resolve
+                        </Button>
+                      </div>
+                    )}
+                  </AlertDescription>
+                </Alert>
+              ))}
+            </CardContent>
+          </Card>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AlertList;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle, CheckCircle } from "lucide-react";
+import axios from "axios";
+
+// Maps a dataset's headers to the fields the simulation expects and shows
+// the validation report for the current mapping
+const ColumnMappingDialog = ({ dataset, onClose, onSaved }) => {
+  const [schema, setSchema] = useState([]);
+  const [mapping, setMapping] = useState(dataset.columnMapping || {});
+  const [report, setReport] = useState(dataset.validation);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/schema")
+      .then((response) => setSchema(response.data))
+      .catch((error) => console.error("Error fetching schema:", error));
+  }, []);
+
+  const handleChange = (field, column) => {
+    setMapping((prev) => ({ ...prev, [field]: column || null }));
+  };
+
+  // Save the mapping; the server re-validates every row against it
+  const handleSave = async () => {
+    try {
+      setIsSaving(true);
+      const response = await axios.put(
+        `http://localhost:5000/api/datasets/${dataset.id}/mapping`,
+        { mapping }
+      );
+      setReport(response.data.validation);
+      setErrors([]);
+      onSaved?.(response.data);
+    } catch (error) {
+      console.error("Error saving column mapping:", error);
+      setErrors(error.response?.data?.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const columns = report?.columns || [];
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <Card className="w-full max-w-3xl max-h-[90vh] overflow-y-auto">
+        <CardHeader>
+          <CardTitle>Columns for {dataset.originalName}</CardTitle>
+          <CardDescription>
+            Choose which column holds each field. A run can start once every
+            required field is mapped and all rows pass validation.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-4">
+            {schema.map(({ field, type, required }) => (
+              <label key={field} className="text-sm">
+                <span className="block font-medium mb-1">
+                  {field}
+                  {required && <span className="text-red-600"> *</span>}
+                  <span className="text-gray-500 font-normal"> ({type})</span>
+                </span>
+                <select
+                  value={mapping[field] || ""}
+                  onChange={(e) => handleChange(field, e.target.value)}
+                  className="block w-full border border-gray-300 rounded-lg p-2"
+                >
+                  <option value="">Not mapped</option>
+                  {columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          {errors.length > 0 && (
+            <Alert variant="destructive" className="mb-4">
+              <AlertCircle className="h-4 w-4" />
+              <AlertTitle>Mapping not saved</AlertTitle>
+              <AlertDescription>
+                <ul className="list-disc pl-5 mt-2">
+                  {errors.map((error, i) => (
+                    <li key={i}>{error}</li>
+                  ))}
+                </ul>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {report &&
+            (report.valid ? (
+              <Alert className="mb-4">
+                <CheckCircle className="h-4 w-4" />
+                <AlertTitle>All {report.rowCount} rows are valid</AlertTitle>
+                {report.extraColumns.length > 0 && (
+                  <AlertDescription>
+                    Unused columns: {report.extraColumns.join(", ")}
+                  </AlertDescription>
+                )}
+              </Alert>
+            ) : (
+              <Alert variant="destructive" className="mb-4">
+                <AlertCircle className="h-4 w-4" />
+                <AlertTitle>
+                  {report.failingRowCount} of {report.rowCount} rows failed
+                  validation
+                </AlertTitle>
+                <AlertDescription>
+                  {report.missingColumns.length > 0 && (
+                    <p>
+                      Missing required fields:{" "}
+                      {report.missingColumns.join(", ")}
+                    </p>
+                  )}
+                  {report.extraColumns.length > 0 && (
+                    <p>Unused columns: {report.extraColumns.join(", ")}</p>
+                  )}
+                  {report.rowErrors.length > 0 && (
+                    <table className="w-full text-xs mt-2">
+                      <thead>
+                        <tr className="border-b">
+                          <th className="text-left p-1">Row</th>
+                          <th className="text-left p-1">Column</th>
+                          <th className="text-left p-1">Problem</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {report.rowErrors.map((error, i) => (
+                          <tr key={i} className="border-b">
+                            <td className="p-1">{error.row}</td>
+                            <td className="p-1">{error.column}</td>
+                            <td className="p-1">{error.message}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                  {report.errorCount > report.rowErrors.length && (
+                    <p className="mt-1">
+                      Showing {report.rowErrors.length} of {report.errorCount}{" "}
+                      problems.
+                    </p>
+                  )}
+                </AlertDescription>
+              </Alert>
+            ))}
+
+          <div className="flex gap-2 justify-end">
+            <Button variant="outline" onClick={onClose}>
+              Close
+            </Button>
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving ? "Validating..." : "Save Mapping"}
+            </Button>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
@@ -0,0 +1,96 @@
+import React from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+
+const MODEL_LABELS = {
+  "seasonal-naive": "Seasonal naive",
+  regression: "Regression",
+};
+
+const TARGETS = [
+  { key: "solar_input_watts", label: "Solar" },
+  { key: "household_power_demand_watts", label: "Demand" },
+];
+
+const formatError = (value, unit) =>
+  value == null ? "-" : `${value.toFixed(1)}${unit}`;
+
+// Model choice for the chart overlays and how each model has scored
+// against the rows that arrived after its forecasts
+const ForecastPanel = ({ forecast, model, onModelChange, hours }) => {
+  return (
+    <Card className="md:col-span-2">
+      <CardHeader>
+        <CardTitle>Forecast</CardTitle>
+        <CardDescription>
+          Next {hours} hours of solar and demand, shown dashed on the Solar and
+          Household charts
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <label className="text-sm block mb-4">
+          <span className="font-medium mr-2">Model:</span>
+          <select
+            value={model}
+            onChange={(e) => onModelChange(e.target.value)}
+            className="border border-gray-300 rounded-lg p-1"
+          >
+            {Object.entries(MODEL_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {!forecast ? (
+          <p className="text-sm">
+            A forecast is available once rows have been processed.
+          </p>
+        ) : (
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="border-b">
+                <th className="text-left p-2">Model</th>
+                {TARGETS.map((target) => (
+                  <React.Fragment key={target.key}>
+                    <th className="text-left p-2">{target.label} MAE</th>
+                    <th className="text-left p-2">{target.label} MAPE</th>
+                  </React.Fragment>
+                ))}
+                <th className="text-left p-2">Rows scored</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(forecast.metrics).map(([name, metrics]) => (
+                <tr key={name} className="border-b">
+                  <td className="p-2">{MODEL_LABELS[name] || name}</td>
+                  {TARGETS.map((target) => (
+                    <React.Fragment key={target.key}>
+                      <td className="p-2">
+                        {formatError(metrics[target.key].mae, " W")}
+                      </td>
+                      <td className="p-2">
+                        {formatError(metrics[target.key].mape, "%")}
+                      </td>
+                    </React.Fragment>
+                  ))}
+                  <td className="p-2">
+                    {metrics.solar_input_watts.scored_rows}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ForecastPanel;
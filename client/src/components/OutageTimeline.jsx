@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import axios from "axios";
+import { formatDuration } from "@/lib/time";
+import { gridStateInfo } from "@/lib/gridStates";
+
+// Outage events of a run laid out along its rows, with a table of details.
+// refreshKey changes whenever an outage starts, ends or the run moves on.
+const OutageTimeline = ({ runId, totalRows, refreshKey }) => {
+  const [outages, setOutages] = useState(null);
+
+  useEffect(() => {
+    if (!runId) return;
+
+    axios
+      .get(`http://localhost:5000/api/runs/${runId}/outages`)
+      .then((response) => setOutages(response.data))
+      .catch((error) => console.error("Error fetching outages:", error));
+  }, [runId, refreshKey]);
+
+  const events = outages?.events || [];
+  const metrics = outages?.metrics;
+
+  return (
+    <Card className="md:col-span-2">
+      <CardHeader>
+        <CardTitle>Outage Timeline</CardTitle>
+        <CardDescription>
+          Consecutive rows without grid supply, grouped into events
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {metrics && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2 text-sm mb-4">
+            <div className="p-2 bg-gray-100 rounded">
+              <div className="font-medium">Interruptions (SAIFI)</div>
+              <div>{metrics.outage_count}</div>
+            </div>
+            <div className="p-2 bg-gray-100 rounded">
+              <div className="font-medium">Minutes out (SAIDI)</div>
+              <div>{metrics.outage_minutes.toFixed(0)}</div>
+            </div>
+            <div className="p-2 bg-gray-100 rounded">
+              <div className="font-medium">Average duration</div>
+              <div>{formatDuration(metrics.average_outage_minutes * 60)}</div>
+            </div>
+            <div className="p-2 bg-gray-100 rounded">
+              <div className="font-medium">Unserved energy</div>
+              <div>{metrics.outage_unserved_kwh.toFixed(3)} kWh</div>
+            </div>
+          </div>
+        )}
+
+        {events.length === 0 ? (
+          <p className="text-sm">No outages so far.</p>
+        ) : (
+          <>
+            <div className="relative h-6 bg-green-100 rounded mb-4">
+              {events.map((event) => (
+                <div
+                  key={event.id}
+                  title={`${event.start} - ${event.end}`}
+                  className={`absolute top-0 h-6 rounded ${
+                    gridStateInfo(event.grid_states[0]).badge
+                  }`}
+                  style={{
+                    left: `${(event.start_row / totalRows) * 100}%`,
+                    width: `${Math.max(
+                      ((event.end_row - event.start_row + 1) / totalRows) * 100,
+                      0.5
+                    )}%`,
+                  }}
+                />
+              ))}
+            </div>
+
+            <table className="w-full text-sm border-collapse">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left p-2">Start</th>
+                  <th className="text-left p-2">End</th>
+                  <th className="text-left p-2">Duration</th>
+                  <th className="text-left p-2">Cause</th>
+                  <th className="text-left p-2">Battery</th>
+                  <th className="text-left p-2">Solar</th>
+                  <th className="text-left p-2">Min SoC</th>
+                  <th className="text-left p-2">Unserved</th>
+                </tr>
+              </thead>
+              <tbody>
+                {events.map((event) => (
+                  <tr key={event.id} className="border-b">
+                    <td className="p-2">{event.start}</td>
+                    <td className="p-2">
+                      {event.ongoing ? "ongoing" : event.end}
+                    </td>
+                    <td className="p-2">
+                      {formatDuration(event.duration_seconds)}
+                    </td>
+                    <td className="p-2">
+                      {event.grid_states
+                        .map((state) => gridStateInfo(state).label)
+                        .join(", ")}
+                      {event.planned && " (planned)"}
+                    </td>
+                    <td className="p-2">{event.battery_kwh.toFixed(3)} kWh</td>
+                    <td className="p-2">{event.solar_kwh.toFixed(3)} kWh</td>
+                    <td className="p-2">{event.min_soc_percent.toFixed(1)}%</td>
+                    <td className="p-2">{event.unserved_kwh.toFixed(3)} kWh</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default OutageTimeline;
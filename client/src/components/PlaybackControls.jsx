@@ -0,0 +1,115 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import axios from "axios";
+import { formatDuration } from "@/lib/time";
+
+// Speeds as multiples of data time (1× plays a 15-minute row in 15 minutes);
+// "max" processes rows back to back
+const SPEEDS = [
+  { value: 1, label: "1×" },
+  { value: 10, label: "10×" },
+  { value: 60, label: "60×" },
+  { value: 600, label: "600×" },
+  { value: 3600, label: "3600×" },
+  { value: "max", label: "Max" },
+];
+
+// Thin controls over the server-side run clock, plus a timeline scrubber
+const PlaybackControls = ({
+  runId,
+  status,
+  speed,
+  currentRow,
+  totalRows,
+  intervalSeconds,
+}) => {
+  const [scrubRow, setScrubRow] = useState(null);
+
+  const control = async (action, body) => {
+    try {
+      await axios.post(
+        `http://localhost:5000/api/runs/${runId}/${action}`,
+        body
+      );
+    } catch (error) {
+      console.error(`Error sending ${action}:`, error);
+      alert(`Error: ${error.response?.data || error.message}`);
+    }
+  };
+
+  const commitSeek = () => {
+    if (scrubRow == null) return;
+    control("seek", { row: scrubRow });
+    setScrubRow(null);
+  };
+
+  const isRunning = status === "running";
+  const isPaused = status === "paused";
+  const isFinished = status === "finished";
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2 mb-2">
+        <Button
+          onClick={() => (isPaused ? control("resume") : control("start"))}
+          disabled={isRunning || isFinished}
+          className="bg-green-600 hover:bg-green-700"
+        >
+          {isPaused ? "Resume" : "Start"}
+        </Button>
+        <Button
+          onClick={() => control("pause")}
+          disabled={!isRunning}
+          className="bg-red-600 hover:bg-red-700"
+        >
+          Pause
+        </Button>
+        <Button
+          variant="outline"
+          onClick={() => control("step")}
+          disabled={isFinished}
+        >
+          Step
+        </Button>
+
+        <div className="text-sm ml-4">Speed (× data time):</div>
+        {SPEEDS.map((option) => (
+          <Button
+            key={option.label}
+            size="sm"
+            variant={speed === option.value ? "default" : "outline"}
+            onClick={() => control("speed", { speed: option.value })}
+          >
+            {option.label}
+          </Button>
+        ))}
+        {intervalSeconds != null && speed !== "max" && (
+          <span className="text-xs text-gray-500">
+            {formatDuration(intervalSeconds)} of data every{" "}
+            {formatDuration(intervalSeconds / speed)}
+          </span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm">
+        <span>Row</span>
+        <input
+          type="range"
+          min={0}
+          max={totalRows || 0}
+          value={scrubRow ?? currentRow ?? 0}
+          onChange={(e) => setScrubRow(parseInt(e.target.value, 10))}
+          onPointerUp={commitSeek}
+          onKeyUp={commitSeek}
+          disabled={!totalRows}
+          className="flex-1"
+        />
+        <span className="w-24 text-right">
+          {scrubRow ?? currentRow ?? 0} / {totalRows ?? 0}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default PlaybackControls;
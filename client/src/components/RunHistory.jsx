@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import axios from "axios";
+
+// Runs kept by the server, newest first, each of which can be reopened
+const RunHistory = ({ currentRunId, refreshKey, onOpen, disabled }) => {
+  const [runs, setRuns] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/runs")
+      .then((response) => setRuns(response.data))
+      .catch((error) => console.error("Error fetching run history:", error));
+  }, [refreshKey]);
+
+  if (runs.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <h4 className="text-sm font-medium mb-2">Run History</h4>
+      <table className="w-full text-sm border-collapse">
+        <thead>
+          <tr className="border-b">
+            <th className="text-left p-2">Started</th>
+            <th className="text-left p-2">Dataset</th>
+            <th className="text-left p-2">Strategy</th>
+            <th className="text-left p-2">Status</th>
+            <th className="text-left p-2">Rows</th>
+            <th className="text-left p-2">Grid Import</th>
+            <th className="p-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {runs.map((run) => (
+            <tr
+              key={run.id}
+              className={`border-b ${
+                run.id === currentRunId ? "bg-gray-100" : ""
+              }`}
+            >
+              <td className="p-2">
+                {new Date(run.started_at).toLocaleString()}
+              </td>
+              <td className="p-2">{run.dataset_name ?? "Deleted dataset"}</td>
+              <td className="p-2">{run.strategy}</td>
+              <td className="p-2">
+                {run.status}
+                {run.finished_at &&
+                  ` ${new Date(run.finished_at).toLocaleString()}`}
+              </td>
+              <td className="p-2">
+                {run.rows_processed}
+                {run.summary && ` / ${run.summary.total_rows}`}
+              </td>
+              <td className="p-2">
+                {run.summary
+                  ? `${run.summary.total_grid_import_kwh.toFixed(2)} kWh`
+                  : "-"}
+              </td>
+              <td className="p-2 text-right">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={() => onOpen(run.id)}
+                  disabled={disabled || run.id === currentRunId}
+                >
+                  Open
+                </Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RunHistory;
@@ -0,0 +1,330 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer,
+} from "recharts";
+import { AlertCircle } from "lucide-react";
+import axios from "axios";
+import StrategySelector from "@/components/StrategySelector";
+
+// One line colour per scenario, in scenario order
+const COLORS = [
+  "#8884d8",
+  "#82ca9d",
+  "#ff7300",
+  "#e5484d",
+  "#0ea5e9",
+  "#a855f7",
+];
+
+// The server compares at most this many scenarios at once
+const MAX_SCENARIOS = 6;
+
+const newScenario = (name) => ({
+  name,
+  strategy: "rule-based",
+  strategyOptions: {},
+  batteryCapacityKwh: "",
+  overrides: "",
+});
+
+// The request body for a scenario: blank capacity keeps the saved setting,
+// and other settings can be overridden with a JSON object
+const scenarioRequest = (scenario) => {
+  const config = scenario.overrides.trim()
+    ? JSON.parse(scenario.overrides)
+    : {};
+  if (scenario.batteryCapacityKwh !== "") {
+    config.batteryCapacityKwh = Number(scenario.batteryCapacityKwh);
+  }
+  return {
+    name: scenario.name,
+    strategy: scenario.strategy,
+    strategyOptions: scenario.strategyOptions,
+    config,
+  };
+};
+
+const formatNumber = (value, digits = 2) =>
+  value === null || value === undefined ? "-" : value.toFixed(digits);
+
+// Process one dataset under several named configurations and compare the
+// outcomes side by side
+const ScenarioCompare = ({ datasets }) => {
+  const validDatasets = datasets.filter(
+    (dataset) => dataset.validation?.valid !== false
+  );
+  const [datasetId, setDatasetId] = useState("");
+  const [scenarios, setScenarios] = useState([
+    newScenario("Current settings"),
+    newScenario("Larger battery"),
+  ]);
+  const [comparison, setComparison] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [isComparing, setIsComparing] = useState(false);
+
+  const selectedDatasetId = datasetId || validDatasets[0]?.id || "";
+
+  const updateScenario = (index, changes) => {
+    setScenarios((prev) =>
+      prev.map((scenario, i) =>
+        i === index ? { ...scenario, ...changes } : scenario
+      )
+    );
+  };
+
+  const handleCompare = async () => {
+    let body;
+    try {
+      body = { scenarios: scenarios.map(scenarioRequest) };
+    } catch (error) {
+      setErrors([`Other settings must be a JSON object: ${error.message}`]);
+      return;
+    }
+
+    setIsComparing(true);
+    setErrors([]);
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/datasets/${selectedDatasetId}/compare`,
+        body
+      );
+      setComparison(data);
+    } catch (error) {
+      console.error("Error comparing scenarios:", error);
+      setErrors(
+        error.response?.data?.errors || [error.response?.data || error.message]
+      );
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  const renderOverlay = (title, key, unit) => (
+    <div className="h-64 mb-6">
+      <h4 className="text-sm font-medium mb-2">{title}</h4>
+      <ResponsiveContainer width="100%" height="100%">
+        <LineChart data={comparison.series}>
+          <CartesianGrid strokeDasharray="3 3" />
+          <XAxis dataKey="timestamp" />
+          <YAxis />
+          <Tooltip />
+          <Legend />
+          {comparison.scenarios.map((scenario, i) => (
+            <Line
+              key={scenario.name}
+              type="monotone"
+              dataKey={`${key}_${i}`}
+              name={`${scenario.name} (${unit})`}
+              stroke={COLORS[i % COLORS.length]}
+              dot={false}
+            />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    </div>
+  );
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Compare Scenarios</CardTitle>
+        <CardDescription>
+          Process the same dataset under different settings and dispatch
+          strategies. Comparisons are what-ifs: they are not kept in the run
+          history and raise no alerts.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <label className="block text-sm mb-4">
+          <span className="block font-medium mb-1">Dataset</span>
+          <select
+            value={selectedDatasetId}
+            onChange={(e) => setDatasetId(e.target.value)}
+            className="border border-gray-300 rounded-lg p-2"
+          >
+            {validDatasets.map((dataset) => (
+              <option key={dataset.id} value={dataset.id}>
+                {dataset.originalName}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        {scenarios.map((scenario, i) => (
+          <div
+            key={i}
+            className="border border-gray-300 rounded-lg p-3 mb-3"
+            style={{ borderLeft: `4px solid ${COLORS[i % COLORS.length]}` }}
+          >
+            <div className="flex flex-wrap items-end gap-4 mb-2 text-sm">
+              <label>
+                <span className="block font-medium mb-1">Name</span>
+                <input
+                  type="text"
+                  value={scenario.name}
+                  onChange={(e) => updateScenario(i, { name: e.target.value })}
+                  className="border border-gray-300 rounded-lg p-2"
+                />
+              </label>
+              <label>
+                <span className="block font-medium mb-1">
+                  Battery capacity (kWh)
+                </span>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.5"
+                  value={scenario.batteryCapacityKwh}
+                  onChange={(e) =>
+                    updateScenario(i, { batteryCapacityKwh: e.target.value })
+                  }
+                  placeholder="Saved setting"
+                  className="border border-gray-300 rounded-lg p-2"
+                />
+              </label>
+              <label className="flex-1">
+                <span className="block font-medium mb-1">
+                  Other settings (JSON)
+                </span>
+                <input
+                  type="text"
+                  value={scenario.overrides}
+                  onChange={(e) =>
+                    updateScenario(i, { overrides: e.target.value })
+                  }
+                  placeholder='{"minSocPercent": 20}'
+                  className="block w-full border border-gray-300 rounded-lg p-2"
+                />
+              </label>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() =>
+                  setScenarios((prev) => prev.filter((_, j) => j !== i))
+                }
+                disabled={scenarios.length <= 2}
+              >
+                Remove
+              </Button>
+            </div>
+            <StrategySelector
+              value={scenario}
+              onChange={(changes) => updateScenario(i, changes)}
+            />
+          </div>
+        ))}
+
+        {errors.length > 0 && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Comparison failed</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc pl-5 mt-2">
+                {errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex gap-2 mb-6">
+          <Button
+            variant="outline"
+            onClick={() =>
+              setScenarios((prev) => [
+                ...prev,
+                newScenario(`Scenario ${prev.length + 1}`),
+              ])
+            }
+            disabled={scenarios.length >= MAX_SCENARIOS}
+          >
+            Add Scenario
+          </Button>
+          <Button
+            onClick={handleCompare}
+            disabled={isComparing || !selectedDatasetId}
+          >
+            {isComparing ? "Comparing..." : "Compare"}
+          </Button>
+        </div>
+
+        {comparison && (
+          <>
+            <table className="w-full text-sm border-collapse mb-6">
+              <thead>
+                <tr className="border-b">
+                  <th className="text-left p-2">Scenario</th>
+                  <th className="text-left p-2">Strategy</th>
+                  <th className="text-right p-2">Battery</th>
+                  <th className="text-right p-2">Grid Import</th>
+                  <th className="text-right p-2">Unserved</th>
+                  <th className="text-right p-2">Cycles</th>
+                  <th className="text-right p-2">Grid Cost</th>
+                  <th className="text-right p-2">Self-sufficiency</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.scenarios.map((scenario, i) => (
+                  <tr key={scenario.name} className="border-b">
+                    <td className="p-2">
+                      <span
+                        className="inline-block w-3 h-3 rounded-full mr-2"
+                        style={{ background: COLORS[i % COLORS.length] }}
+                      />
+                      {scenario.name}
+                    </td>
+                    <td className="p-2">{scenario.strategy}</td>
+                    <td className="text-right p-2">
+                      {scenario.battery_capacity_kwh} kWh
+                    </td>
+                    <td className="text-right p-2">
+                      {formatNumber(scenario.total_grid_import_kwh)} kWh
+                    </td>
+                    <td className="text-right p-2">
+                      {formatNumber(scenario.total_unserved_kwh)} kWh
+                    </td>
+                    <td className="text-right p-2">
+                      {formatNumber(scenario.equivalent_full_cycles)} (
+                      {scenario.battery_discharge_cycles} discharges)
+                    </td>
+                    <td className="text-right p-2">
+                      {formatNumber(scenario.total_grid_cost)}{" "}
+                      {scenario.currency}
+                    </td>
+                    <td className="text-right p-2">
+                      {scenario.self_sufficiency_percent === null
+                        ? "-"
+                        : `${scenario.self_sufficiency_percent.toFixed(1)}%`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {renderOverlay("Battery State of Charge", "battery_percent", "%")}
+            {renderOverlay("Grid Contribution", "grid_contribution", "kWh")}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ScenarioCompare;
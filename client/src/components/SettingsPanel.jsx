@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle } from "lucide-react";
+import axios from "axios";
+
+// Editable system settings, in display order
+const FIELDS = [
+  { key: "batteryCapacityKwh", label: "Battery Capacity", unit: "kWh" },
+  { key: "minSocPercent", label: "Minimum SoC", unit: "%" },
+  { key: "maxSocPercent", label: "Maximum SoC", unit: "%" },
+  { key: "maxChargeKw", label: "Max Charge Power", unit: "kW" },
+  { key: "maxDischargeKw", label: "Max Discharge Power", unit: "kW" },
+  {
+    key: "roundTripEfficiencyPercent",
+    label: "Round-trip Efficiency",
+    unit: "%",
+  },
+  {
+    key: "lowBatteryThresholdPercent",
+    label: "Low Battery Threshold",
+    unit: "%",
+  },
+  {
+    key: "cycleLifeFullDod",
+    label: "Cycle Life at 100% Depth",
+    unit: "cycles",
+  },
+  {
+    key: "calendarFadePercentPerYear",
+    label: "Calendar Capacity Fade",
+    unit: "%/year",
+  },
+  {
+    key: "timestepSeconds",
+    label: "Timestep (rows without timestamps)",
+    unit: "s",
+  },
+  { key: "gaugeMaxWatts", label: "Gauge Maximum", unit: "W" },
+  { key: "gridNominalVoltage", label: "Grid Nominal Voltage", unit: "V" },
+  {
+    key: "gridNominalFrequencyHz",
+    label: "Grid Nominal Frequency",
+    unit: "Hz",
+  },
+  { key: "criticalLoadWatts", label: "Critical Load Floor", unit: "W" },
+  { key: "heavyApplianceWatts", label: "Heavy Appliance Load", unit: "W" },
+  {
+    key: "criticalReservePercent",
+    label: "Critical Reserve (grid down)",
+    unit: "%",
+  },
+  {
+    key: "exportMode",
+    label: "Solar Export",
+    options: [
+      { value: "unlimited", label: "Unlimited export" },
+      { value: "curtail", label: "Curtail above limit" },
+      { value: "zero-export", label: "Zero export" },
+    ],
+  },
+  { key: "exportLimitWatts", label: "Export Limit", unit: "W" },
+];
+
+const SettingsPanel = ({ onSaved }) => {
+  const [values, setValues] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load the current configuration when the panel opens
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/config")
+      .then((response) => setValues(response.data))
+      .catch((error) => console.error("Error fetching config:", error));
+  }, []);
+
+  const handleChange = (key, value) => {
+    setValues((prev) => ({ ...prev, [key]: value }));
+  };
+
+  // Save the edited configuration; the server validates it
+  const handleSave = async () => {
+    const payload = Object.fromEntries(
+      FIELDS.map(({ key, options }) => [
+        key,
+        options ? values[key] : parseFloat(values[key]),
+      ])
+    );
+
+    try {
+      setIsSaving(true);
+      const response = await axios.put(
+        "http://localhost:5000/api/config",
+        payload
+      );
+      setValues(response.data);
+      setErrors([]);
+      onSaved?.(response.data);
+    } catch (error) {
+      console.error("Error saving config:", error);
+      setErrors(error.response?.data?.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>System Settings</CardTitle>
+        <CardDescription>
+          Battery and system parameters. Changes apply to runs started after
+          saving.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {!values ? (
+          <p className="text-sm">Loading settings...</p>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+              {FIELDS.map(({ key, label, unit, options }) => (
+                <label key={key} className="text-sm">
+                  <span className="block font-medium mb-1">
+                    {label}
+                    {unit && ` (${unit})`}
+                  </span>
+                  {options ? (
+                    <select
+                      value={values[key]}
+                      onChange={(e) => handleChange(key, e.target.value)}
+                      className="block w-full border border-gray-300 rounded-lg p-2"
+                    >
+                      {options.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="number"
+                      step="any"
+                      value={values[key]}
+                      onChange={(e) => handleChange(key, e.target.value)}
+                      className="block w-full border border-gray-300 rounded-lg p-2"
+                    />
+                  )}
+                </label>
+              ))}
+            </div>
+
+            {errors.length > 0 && (
+              <Alert variant="destructive" className="mb-4">
+                <AlertCircle className="h-4 w-4" />
+                <AlertTitle>Settings not saved</AlertTitle>
+                <AlertDescription>
+                  <ul className="list-disc pl-5 mt-2">
+                    {errors.map((error, i) => (
+                      <li key={i}>{error}</li>
+                    ))}
+                  </ul>
+                </AlertDescription>
+              </Alert>
+            )}
+
+            <Button onClick={handleSave} disabled={isSaving}>
+              {isSaving ? "Saving..." : "Save Settings"}
+            </Button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SettingsPanel;
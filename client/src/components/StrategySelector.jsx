@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+
+// Picks the dispatch strategy (and its options) used by new runs
+const StrategySelector = ({ value, onChange, disabled }) => {
+  const [strategies, setStrategies] = useState([]);
+
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/strategies")
+      .then((response) => setStrategies(response.data))
+      .catch((error) => console.error("Error fetching strategies:", error));
+  }, []);
+
+  const selected = strategies.find((s) => s.id === value.strategy);
+
+  const handleStrategyChange = (id) => {
+    const strategy = strategies.find((s) => s.id === id);
+    const strategyOptions = Object.fromEntries(
+      (strategy?.options || []).map((option) => [option.key, option.default])
+    );
+    onChange({ strategy: id, strategyOptions });
+  };
+
+  const handleOptionChange = (key, optionValue) => {
+    onChange({
+      ...value,
+      strategyOptions: { ...value.strategyOptions, [key]: optionValue },
+    });
+  };
+
+  return (
+    <div className="flex flex-wrap items-end gap-4 mb-4 text-sm">
+      <label>
+        <span className="block font-medium mb-1">Dispatch Strategy</span>
+        <select
+          value={value.strategy}
+          onChange={(e) => handleStrategyChange(e.target.value)}
+          disabled={disabled}
+          className="border border-gray-300 rounded-lg p-2"
+        >
+          {strategies.map((strategy) => (
+            <option key={strategy.id} value={strategy.id}>
+              {strategy.name}
+            </option>
+          ))}
+        </select>
+      </label>
+      {selected?.options.map((option) => (
+        <label key={option.key}>
+          <span className="block font-medium mb-1">
+            {option.label} ({option.unit})
+          </span>
+          <input
+            type="number"
+            step="any"
+            min="0"
+            max={option.max}
+            value={value.strategyOptions[option.key] ?? option.default}
+            onChange={(e) => handleOptionChange(option.key, e.target.value)}
+            disabled={disabled}
+            className="w-28 border border-gray-300 rounded-lg p-2"
+          />
+        </label>
+      ))}
+      {selected && (
+        <span className="text-gray-500 pb-2">{selected.description}</span>
+      )}
+    </div>
+  );
+};
+
+export default StrategySelector;
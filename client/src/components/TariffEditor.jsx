@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle } from "lucide-react";
+import axios from "axios";
+
+// Edit the electricity tariff as JSON, or upload it as a .json file
+const TariffEditor = () => {
+  const [text, setText] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/tariff")
+      .then((response) => setText(JSON.stringify(response.data, null, 2)))
+      .catch((error) => console.error("Error fetching tariff:", error));
+  }, []);
+
+  const handleResult = async (request) => {
+    try {
+      setIsSaving(true);
+      const response = await request();
+      setText(JSON.stringify(response.data, null, 2));
+      setErrors([]);
+    } catch (error) {
+      console.error("Error saving tariff:", error);
+      setErrors(error.response?.data?.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    let tariff;
+    try {
+      tariff = JSON.parse(text);
+    } catch {
+      setErrors(["Tariff is not valid JSON"]);
+      return;
+    }
+    handleResult(() => axios.put("http://localhost:5000/api/tariff", tariff));
+  };
+
+  const handleUpload = (e) => {
+    const tariffFile = e.target.files[0];
+    if (!tariffFile) return;
+
+    const formData = new FormData();
+    formData.append("file", tariffFile);
+    handleResult(() =>
+      axios.post("http://localhost:5000/api/tariff/upload", formData)
+    );
+    e.target.value = "";
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Tariff</CardTitle>
+        <CardDescription>
+          Flat, time-of-use or tiered import rates with an optional export rate.
+          Applies to runs started after saving.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={12}
+          spellCheck={false}
+          className="block w-full font-mono text-xs border border-gray-300 rounded-lg p-2 mb-4"
+        />
+
+        {errors.length > 0 && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Tariff not saved</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc pl-5 mt-2">
+                {errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="flex flex-wrap items-center gap-4">
+          <Button onClick={handleSave} disabled={isSaving}>
+            {isSaving ? "Saving..." : "Save Tariff"}
+          </Button>
+          <label className="text-sm">
+            <span className="mr-2">Or upload JSON:</span>
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={handleUpload}
+              disabled={isSaving}
+            />
+          </label>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TariffEditor;
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from "react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer,
+} from "recharts";
+import axios from "axios";
+
+// Derating factors of the run's thermal profile against temperature, with
+// the safe range and the current battery temperature marked
+const ThermalDeratingChart = ({ runId, temperature }) => {
+  const [thermal, setThermal] = useState(null);
+
+  useEffect(() => {
+    if (!runId) return;
+
+    axios
+      .get(`http://localhost:5000/api/runs/${runId}/thermal`)
+      .then((response) => setThermal(response.data))
+      .catch((error) => console.error("Error fetching thermal curves:", error));
+  }, [runId]);
+
+  return (
+    <Card className="md:col-span-2">
+      <CardHeader>
+        <CardTitle>Temperature vs Derating</CardTitle>
+        <CardDescription>
+          {temperature == null
+            ? "No temperature in the current row; no derating applied"
+            : `Battery at ${temperature}°C`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="h-64">
+        {thermal && (
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={thermal.curves}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis
+                type="number"
+                dataKey="battery_temperature_celsius"
+                domain={["dataMin", "dataMax"]}
+                unit="°C"
+              />
+              <YAxis yAxisId="derating" domain={[0, 1]} />
+              <YAxis yAxisId="ageing" orientation="right" />
+              <Tooltip formatter={(value) => value.toFixed(2)} />
+              <Legend />
+              <Line
+                yAxisId="derating"
+                dataKey="capacity_derating_factor"
+                name="Capacity"
+                stroke="#8884d8"
+                dot={false}
+              />
+              <Line
+                yAxisId="derating"
+                dataKey="charge_rate_derating_factor"
+                name="Charge rate"
+                stroke="#4BC0C0"
+                dot={false}
+              />
+              <Line
+                yAxisId="derating"
+                dataKey="discharge_rate_derating_factor"
+                name="Discharge rate"
+                stroke="#FF9F40"
+                dot={false}
+              />
+              <Line
+                yAxisId="ageing"
+                dataKey="ageing_factor"
+                name="Ageing (×)"
+                stroke="#FF6384"
+                strokeDasharray="5 5"
+                dot={false}
+              />
+              <ReferenceLine
+                yAxisId="derating"
+                x={thermal.profile.safeRange.minCelsius}
+                stroke="#999"
+                strokeDasharray="3 3"
+              />
+              <ReferenceLine
+                yAxisId="derating"
+                x={thermal.profile.safeRange.maxCelsius}
+                stroke="#999"
+                strokeDasharray="3 3"
+              />
+              {temperature != null && (
+                <ReferenceLine
+                  yAxisId="derating"
+                  x={temperature}
+                  stroke="#000"
+                  label="Now"
+                />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ThermalDeratingChart;
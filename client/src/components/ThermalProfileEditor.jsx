@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle } from "lucide-react";
+import axios from "axios";
+
+// Edit the battery's thermal derating curves and safe range as JSON
+const ThermalProfileEditor = () => {
+  const [text, setText] = useState("");
+  const [errors, setErrors] = useState([]);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    axios
+      .get("http://localhost:5000/api/thermal")
+      .then((response) => setText(JSON.stringify(response.data, null, 2)))
+      .catch((error) =>
+        console.error("Error fetching thermal profile:", error)
+      );
+  }, []);
+
+  const handleSave = async () => {
+    let profile;
+    try {
+      profile = JSON.parse(text);
+    } catch {
+      setErrors(["Thermal profile is not valid JSON"]);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const response = await axios.put(
+        "http://localhost:5000/api/thermal",
+        profile
+      );
+      setText(JSON.stringify(response.data, null, 2));
+      setErrors([]);
+    } catch (error) {
+      console.error("Error saving thermal profile:", error);
+      setErrors(error.response?.data?.errors || [error.message]);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Thermal Derating</CardTitle>
+        <CardDescription>
+          Capacity, charge rate, discharge rate and ageing factors by
+          temperature, as {"{ celsius, factor }"} points, plus the safe
+          operating range. Applies to runs started after saving.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={12}
+          spellCheck={false}
+          className="block w-full font-mono text-xs border border-gray-300 rounded-lg p-2 mb-4"
+        />
+
+        {errors.length > 0 && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Thermal profile not saved</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc pl-5 mt-2">
+                {errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <Button onClick={handleSave} disabled={isSaving}>
+          {isSaving ? "Saving..." : "Save Thermal Profile"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ThermalProfileEditor;
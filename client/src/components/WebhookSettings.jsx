@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from "react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert";
+import { AlertCircle } from "lucide-react";
+import axios from "axios";
+
+const SEVERITIES = ["critical", "warning", "info"];
+
+const EMPTY_FORM = {
+  url: "",
+  events: [],
+  minSeverity: "warning",
+  secret: "",
+};
+
+// Manage webhook subscriptions, send test events and review failed deliveries
+const WebhookSettings = () => {
+  const [eventTypes, setEventTypes] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState([]);
+  const [testResults, setTestResults] = useState({});
+
+  const fetchWebhooks = async () => {
+    try {
+      const [webhooks, failed] = await Promise.all([
+        axios.get("http://localhost:5000/api/webhooks"),
+        axios.get("http://localhost:5000/api/webhooks/dead-letters"),
+      ]);
+      setEventTypes(webhooks.data.eventTypes);
+      setSubscriptions(webhooks.data.subscriptions);
+      setDeadLetters(failed.data);
+    } catch (error) {
+      console.error("Error fetching webhooks:", error);
+    }
+  };
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const toggleEvent = (eventType) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(eventType)
+        ? prev.events.filter((event) => event !== eventType)
+        : [...prev.events, eventType],
+    }));
+  };
+
+  const handleAdd = async () => {
+    try {
+      await axios.post("http://localhost:5000/api/webhooks", form);
+      setForm(EMPTY_FORM);
+      setErrors([]);
+      fetchWebhooks();
+    } catch (error) {
+      console.error("Error adding webhook:", error);
+      setErrors(error.response?.data?.errors || [error.message]);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await axios.delete(`http://localhost:5000/api/webhooks/${id}`);
+      fetchWebhooks();
+    } catch (error) {
+      console.error("Error deleting webhook:", error);
+    }
+  };
+
+  const handleTest = async (id) => {
+    setTestResults((prev) => ({ ...prev, [id]: "Sending..." }));
+    try {
+      const { data } = await axios.post(
+        `http://localhost:5000/api/webhooks/${id}/test`
+      );
+      setTestResults((prev) => ({
+        ...prev,
+        [id]: data.delivered
+          ? `Delivered (${data.status})`
+          : `Failed: ${data.error}`,
+      }));
+    } catch (error) {
+      console.error("Error sending test event:", error);
+      setTestResults((prev) => ({ ...prev, [id]: `Failed: ${error.message}` }));
+    }
+  };
+
+  return (
+    <Card className="mb-6">
+      <CardHeader>
+        <CardTitle>Webhooks</CardTitle>
+        <CardDescription>
+          POST alert, outage and run events to other systems. Each request is
+          signed with the subscription's secret in the X-Webhook-Signature
+          header (sha256 HMAC of the body). Failed deliveries are retried with
+          backoff.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        {subscriptions.length > 0 ? (
+          <ul className="space-y-2 mb-4">
+            {subscriptions.map((subscription) => (
+              <li
+                key={subscription.id}
+                className="border border-gray-300 rounded-lg p-2 text-sm"
+              >
+                <div className="font-medium break-all">{subscription.url}</div>
+                <div className="text-gray-500">
+                  {subscription.events.join(", ")} · alerts from{" "}
+                  {subscription.minSeverity}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 mt-2">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleTest(subscription.id)}
+                  >
+                    Send Test Event
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleDelete(subscription.id)}
+                  >
+                    Delete
+                  </Button>
+                  {testResults[subscription.id] && (
+                    <span>{testResults[subscription.id]}</span>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm mb-4">No webhook subscriptions.</p>
+        )}
+
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+          <label className="text-sm">
+            <span className="block font-medium mb-1">URL</span>
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              placeholder="https://example.com/hooks/battery"
+              className="block w-full border border-gray-300 rounded-lg p-2"
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block font-medium mb-1">Minimum severity</span>
+            <select
+              value={form.minSeverity}
+              onChange={(e) =>
+                setForm({ ...form, minSeverity: e.target.value })
+              }
+              className="block w-full border border-gray-300 rounded-lg p-2"
+            >
+              {SEVERITIES.map((severity) => (
+                <option key={severity} value={severity}>
+                  {severity}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-sm">
+            <span className="block font-medium mb-1">Secret</span>
+            <input
+              type="password"
+              value={form.secret}
+              onChange={(e) => setForm({ ...form, secret: e.target.value })}
+              className="block w-full border border-gray-300 rounded-lg p-2"
+            />
+          </label>
+        </div>
+        <div className="flex flex-wrap gap-4 mb-4 text-sm">
+          {eventTypes.map((eventType) => (
+            <label key={eventType}>
+              <input
+                type="checkbox"
+                checked={form.events.includes(eventType)}
+                onChange={() => toggleEvent(eventType)}
+                className="mr-1"
+              />
+              {eventType}
+            </label>
+          ))}
+        </div>
+
+        {errors.length > 0 && (
+          <Alert variant="destructive" className="mb-4">
+            <AlertCircle className="h-4 w-4" />
+            <AlertTitle>Webhook not added</AlertTitle>
+            <AlertDescription>
+              <ul className="list-disc pl-5 mt-2">
+                {errors.map((error, i) => (
+                  <li key={i}>{error}</li>
+                ))}
+              </ul>
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <Button onClick={handleAdd}>Add Webhook</Button>
+
+        {deadLetters.length > 0 && (
+          <div className="mt-6">
+            <h4 className="font-medium mb-2">
+              Failed deliveries ({deadLetters.length})
+            </h4>
+            <ul className="text-sm space-y-1">
+              {deadLetters
+                .slice(-10)
+                .reverse()
+                .map((letter) => (
+                  <li key={letter.event.id}>
+                    {letter.failed_at}: {letter.event.type} to {letter.url}{" "}
+                    after {letter.attempts} attempts ({letter.last_error})
+                  </li>
+                ))}
+            </ul>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default WebhookSettings;
@@ -0,0 +1,50 @@
+// Display details for the server's canonical grid states
+export const GRID_STATES = {
+  normal: {
+    label: "Normal",
+    badge: "bg-green-500",
+    panel: "bg-green-100",
+    description: "Grid is operating normally",
+  },
+  brownout: {
+    label: "Brownout",
+    badge: "bg-orange-500",
+    panel: "bg-orange-100",
+    description: "Grid voltage is low - import limited, battery supporting",
+  },
+  voltage_fluctuation: {
+    label: "Voltage fluctuation",
+    badge: "bg-yellow-500",
+    panel: "bg-yellow-100",
+    description:
+      "Experiencing voltage fluctuations - using backup where needed",
+  },
+  frequency_deviation: {
+    label: "Frequency deviation",
+    badge: "bg-amber-600",
+    panel: "bg-amber-100",
+    description: "Grid frequency out of range - disconnected from grid",
+  },
+  scheduled_maintenance: {
+    label: "Scheduled maintenance",
+    badge: "bg-blue-500",
+    panel: "bg-blue-100",
+    description: "Planned grid maintenance - using backup systems",
+  },
+  power_off: {
+    label: "Power off",
+    badge: "bg-red-500",
+    panel: "bg-red-100",
+    description: "Grid power unavailable - using backup systems",
+  },
+};
+
+const UNKNOWN_STATE = {
+  badge: "bg-gray-500",
+  panel: "bg-gray-100",
+  description: "Grid state unknown",
+};
+
+export function gridStateInfo(status) {
+  return GRID_STATES[status] || { ...UNKNOWN_STATE, label: String(status) };
+}
@@ -0,0 +1,13 @@
+// Format a duration in seconds for display, e.g. "20 s", "15 min", "1 h 30 min"
+export function formatDuration(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return "-";
+  if (seconds < 60) return `${Math.round(seconds * 10) / 10} s`;
+
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours < 48) return rest ? `${hours} h ${rest} min` : `${hours} h`;
+  return `${Math.round((hours / 24) * 10) / 10} d`;
+}
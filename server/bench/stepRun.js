@@ -0,0 +1,98 @@
+// Measures the per-row cost of stepping a run for datasets of different sizes.
+// Run with `npm run bench`. The time per row should stay flat as the dataset
+// grows; only the one-off parse on upload scales with file size.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const XLSX = require("xlsx");
+const { registerDataset, deleteDataset } = require("../lib/datasets");
+const { createRun, deleteRunsForDataset } = require("../lib/runs");
+const { stepRun } = require("../lib/simulation");
+
+const SIZES = [1000, 10000, 50000];
+const STEPS = 1000;
+
+const GRID_STATES = ["normal", "normal", "normal", "voltage fluctuation"];
+
+function syntheticRow(index) {
+  const minutes = (index * 5) % 1440;
+  const hour = Math.floor(minutes / 60);
+  const isDay = hour >= 6 && hour < 18;
+
+  return {
+    timestamp: `${String(hour).padStart(2, "0")}:${String(
+      minutes % 60
+    ).padStart(2, "0")}`,
+    is_daytime: isDay,
+    solar_input_watts: isDay ? 1500 + (index % 7) * 200 : 0,
+    grid_status: GRID_STATES[index % GRID_STATES.length],
+    household_power_demand_watts: 800 + (index % 11) * 150,
+    heavy_appliance_active: index % 9 === 0,
+    ambient_temperature_celsius: 20 + (index % 10),
+    weather_condition: isDay ? "sunny" : "night",
+    battery_percent: 50,
+  };
+}
+
+// Write a synthetic workbook and register it the way an upload would be
+function registerSynthetic(rowCount, dir) {
+  const workbook = XLSX.utils.book_new();
+  const rows = Array.from({ length: rowCount }, (_, i) => syntheticRow(i));
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows));
+
+  const source = path.join(dir, `bench-${rowCount}.xlsx`);
+  XLSX.writeFile(workbook, source);
+
+  const file = {
+    name: path.basename(source),
+    size: fs.statSync(source).size,
+    mv: (dest, callback) => fs.copyFile(source, dest, callback),
+  };
+
+  return new Promise((resolve, reject) =>
+    registerDataset(file, { format: "excel" }, (err, dataset) =>
+      err ? reject(err) : resolve(dataset)
+    )
+  );
+}
+
+async function benchmark(rowCount, dir) {
+  const uploadStart = process.hrtime.bigint();
+  const dataset = await registerSynthetic(rowCount, dir);
+  const uploadMs = Number(process.hrtime.bigint() - uploadStart) / 1e6;
+
+  const run = createRun(dataset.id, {});
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < STEPS; i++) {
+    stepRun(run);
+  }
+  const perRowUs = Number(process.hrtime.bigint() - start) / 1e3 / STEPS;
+
+  deleteRunsForDataset(dataset.id);
+  deleteDataset(dataset.id);
+
+  return { rowCount, uploadMs, perRowUs };
+}
+
+async function main() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bench-"));
+
+  try {
+    console.log(`Stepping ${STEPS} rows per dataset`);
+    for (const size of SIZES) {
+      const { rowCount, uploadMs, perRowUs } = await benchmark(size, dir);
+      console.log(
+        `${String(rowCount).padStart(6)} rows: ` +
+          `setup ${uploadMs.toFixed(0)} ms, ` +
+          `${perRowUs.toFixed(1)} µs per row`
+      );
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,80 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const ALERTS_FILE = path.join(DATA_DIR, "alerts.ndjson");
+
+// Alerts from every run, kept across server restarts. Each change appends the
+// alert's latest copy to an NDJSON log, so saving one costs the same however
+// many alerts exist; on load the last copy of each alert wins.
+const alerts = new Map();
+
+function loadAlertStore() {
+  if (!fs.existsSync(ALERTS_FILE)) return;
+
+  try {
+    fs.readFileSync(ALERTS_FILE, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .forEach((line) => {
+        const alert = JSON.parse(line);
+        alerts.set(alert.id, alert);
+      });
+  } catch (error) {
+    console.error("Error loading alert history:", error);
+  }
+}
+
+function saveAlert(alert) {
+  alerts.set(alert.id, alert);
+  ensureDataDir();
+  fs.appendFileSync(ALERTS_FILE, JSON.stringify(alert) + "\n");
+}
+
+function getAlert(id) {
+  return alerts.get(id) || null;
+}
+
+// Stored alerts matching the filters, in the order they were raised. An alert
+// is in a time range (epoch milliseconds) if it was active at any point
+// inside it, going by when it was raised and cleared rather than the
+// dataset's timestamps. Alerts stored without those times never match one.
+function listAlerts({ runId, severities, statuses, from, to } = {}) {
+  return [...alerts.values()].filter((alert) => {
+    if (runId && alert.run_id !== runId) return false;
+    if (severities && !severities.includes(alert.severity)) return false;
+    if (statuses && !statuses.includes(alert.status)) return false;
+    if (from == null && to == null) return true;
+
+    const start = Date.parse(alert.raised_at);
+    const end = alert.active ? Infinity : Date.parse(alert.cleared_at);
+    if (Number.isNaN(start) || Number.isNaN(end)) return false;
+    if (from != null && end < from) return false;
+    if (to != null && start > to) return false;
+    return true;
+  });
+}
+
+// Drop alerts and rewrite the log without them
+function deleteAlerts(predicate) {
+  const before = alerts.size;
+  for (const [id, alert] of alerts) {
+    if (predicate(alert)) alerts.delete(id);
+  }
+  if (alerts.size === before) return;
+
+  ensureDataDir();
+  fs.writeFileSync(
+    ALERTS_FILE,
+    [...alerts.values()].map((alert) => JSON.stringify(alert) + "\n").join("")
+  );
+}
+
+loadAlertStore();
+
+module.exports = {
+  saveAlert,
+  getAlert,
+  listAlerts,
+  deleteAlerts,
+};
@@ -0,0 +1,375 @@
+const fs = require("fs");
+const path = require("path");
+const { saveAlert, getAlert, deleteAlerts } = require("./alertStore");
+
+const RULES_FILE = path.join(__dirname, "..", "alertRules.json");
+
+// Most to least severe
+const SEVERITIES = ["critical", "warning", "info"];
+
+// Where operators are with an alert. This is separate from whether its
+// condition still holds: an alert that cleared by itself stays open until
+// someone has looked at it.
+const STATUSES = ["open", "acknowledged", "resolved"];
+
+// Alert rules, each:
+//   { code, severity, message, when, hysteresis? }
+// `when` is a condition on the processed row: { field, op, value }, or
+// { all: [...] } / { any: [...] } of conditions. A value may be
+// { ref: "config.<key>" } or { ref: "thermal.<path>" } to use the run's
+// settings. Messages fill {field} placeholders from the row.
+// An alert opens the first row its condition holds and stays active, without
+// repeating, until it clears. With hysteresis, numeric thresholds are
+// loosened by that much while active, so a value hovering at the threshold
+// does not raise and clear the alert on every row.
+const OPERATORS = {
+  "<": (actual, expected, margin) => actual < expected + margin,
+  "<=": (actual, expected, margin) => actual <= expected + margin,
+  ">": (actual, expected, margin) => actual > expected - margin,
+  ">=": (actual, expected, margin) => actual >= expected - margin,
+  "==": (actual, expected) => actual === expected,
+  "!=": (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  not_in: (actual, expected) => !expected.includes(actual),
+};
+
+const NUMERIC_OPERATORS = ["<", "<=", ">", ">="];
+
+let rules = [];
+
+// Return a list of human-readable problems with a condition
+function validateCondition(condition, where) {
+  if (!condition || typeof condition !== "object") {
+    return [`${where} must be a condition object`];
+  }
+
+  const group = condition.all || condition.any;
+  if (group) {
+    if (!Array.isArray(group) || group.length === 0) {
+      return [`${where} must list at least one condition`];
+    }
+    const key = condition.all ? "all" : "any";
+    return group.flatMap((child, i) =>
+      validateCondition(child, `${where}.${key}[${i}]`)
+    );
+  }
+
+  const errors = [];
+  if (typeof condition.field !== "string") {
+    errors.push(`${where}.field must be a string`);
+  }
+  if (!OPERATORS[condition.op]) {
+    errors.push(
+      `${where}.op must be one of ${Object.keys(OPERATORS).join(", ")}`
+    );
+  }
+  if (condition.value === undefined) {
+    errors.push(`${where}.value is required`);
+  } else if (
+    ["in", "not_in"].includes(condition.op) &&
+    !Array.isArray(condition.value)
+  ) {
+    errors.push(`${where}.value must be an array for ${condition.op}`);
+  } else if (
+    condition.value?.ref !== undefined &&
+    !/^(config|thermal)\.[\w.]+$/.test(condition.value.ref)
+  ) {
+    errors.push(`${where}.value.ref must start with config. or thermal.`);
+  }
+  return errors;
+}
+
+function validateRules(candidate) {
+  if (!Array.isArray(candidate)) return ["Alert rules must be an array"];
+
+  const errors = [];
+  const codes = new Set();
+  candidate.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (typeof rule?.code !== "string" || rule.code === "") {
+      errors.push(`${where}.code must be a non-empty string`);
+    } else if (codes.has(rule.code)) {
+      errors.push(`${where}.code ${rule.code} is used more than once`);
+    } else {
+      codes.add(rule.code);
+    }
+    if (!SEVERITIES.includes(rule?.severity)) {
+      errors.push(`${where}.severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+    if (typeof rule?.message !== "string") {
+      errors.push(`${where}.message must be a string`);
+    }
+    if (
+      rule?.hysteresis !== undefined &&
+      !(typeof rule.hysteresis === "number" && rule.hysteresis >= 0)
+    ) {
+      errors.push(`${where}.hysteresis must be a non-negative number`);
+    }
+    errors.push(...validateCondition(rule?.when, `${where}.when`));
+  });
+  return errors;
+}
+
+// Load the rules file; an invalid file leaves no rules active
+function loadAlertRules() {
+  try {
+    const loaded = JSON.parse(fs.readFileSync(RULES_FILE, "utf8"));
+    const errors = validateRules(loaded);
+
+    if (errors.length > 0) {
+      console.error("Ignoring invalid alert rules:", errors);
+      return;
+    }
+    rules = loaded;
+  } catch (error) {
+    console.error("Error loading alert rules:", error);
+  }
+}
+
+function getAlertRules() {
+  return JSON.parse(JSON.stringify(rules));
+}
+
+function resolveValue(value, context) {
+  if (value?.ref === undefined) return value;
+  return value.ref
+    .split(".")
+    .reduce(
+      (object, key) => (object == null ? undefined : object[key]),
+      context
+    );
+}
+
+// Whether a condition holds for a row. margin loosens numeric thresholds.
+function evaluate(condition, row, context, margin) {
+  if (condition.all) {
+    return condition.all.every((child) =>
+      evaluate(child, row, context, margin)
+    );
+  }
+  if (condition.any) {
+    return condition.any.some((child) => evaluate(child, row, context, margin));
+  }
+
+  const actual = row[condition.field];
+  const expected = resolveValue(condition.value, context);
+  if (
+    NUMERIC_OPERATORS.includes(condition.op) &&
+    (typeof actual !== "number" || typeof expected !== "number")
+  ) {
+    return false;
+  }
+  return OPERATORS[condition.op](actual, expected, margin);
+}
+
+function formatValue(value) {
+  if (typeof value === "number" && !Number.isInteger(value)) {
+    return value.toFixed(1);
+  }
+  return String(value);
+}
+
+function renderMessage(template, row) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, field) =>
+    row[field] === undefined ? placeholder : formatValue(row[field])
+  );
+}
+
+function createAlertState() {
+  // Every alert raised in the run, in order, and the active ones by code
+  return { alerts: [], active: {} };
+}
+
+// Status after a list of acknowledge/resolve actions
+function statusAfter(actions) {
+  if (actions.some((action) => action.action === "resolve")) {
+    return "resolved";
+  }
+  return actions.length > 0 ? "acknowledged" : "open";
+}
+
+// Apply the rules to a processed row. Returns the alerts it opened or closed
+// as { type: "open" | "close", alert }. With persist false the alert store
+// is left alone.
+function evaluateAlerts(run, row, rowIndex, { persist = true } = {}) {
+  const state = run.alertState;
+  const context = { config: run.config, thermal: run.thermal };
+  const transitions = [];
+
+  rules.forEach((rule) => {
+    const active = state.active[rule.code];
+    const margin = active ? rule.hysteresis || 0 : 0;
+    const holds = evaluate(rule.when, row, context, margin);
+
+    if (holds && !active) {
+      // Ids are stable across replays of the run, so an alert re-raised
+      // after a seek keeps what operators already did with it
+      const id = `${run.id}-${state.alerts.length + 1}`;
+      const previous = getAlert(id);
+      const same = previous?.code === rule.code;
+      const actions = same ? previous.actions : [];
+      const alert = {
+        id,
+        run_id: run.id,
+        code: rule.code,
+        severity: rule.severity,
+        message: renderMessage(rule.message, row),
+        status: statusAfter(actions),
+        active: true,
+        source_row: rowIndex,
+        // Dataset times, in the data's own format
+        first_seen: row.timestamp,
+        last_seen: row.timestamp,
+        last_row: rowIndex,
+        row_count: 1,
+        // Wall-clock ISO times, which the alert history is filtered on
+        raised_at: (same && previous.raised_at) || new Date().toISOString(),
+        cleared_at: null,
+        actions,
+      };
+      state.alerts.push(alert);
+      state.active[rule.code] = alert;
+      if (persist) saveAlert(alert);
+      transitions.push({ type: "open", alert });
+    } else if (holds) {
+      active.message = renderMessage(rule.message, row);
+      active.last_seen = row.timestamp;
+      active.last_row = rowIndex;
+      active.row_count++;
+    } else if (active) {
+      active.active = false;
+      active.cleared_at = new Date().toISOString();
+      delete state.active[rule.code];
+      if (persist) saveAlert(active);
+      transitions.push({ type: "close", alert: active });
+    }
+  });
+
+  return transitions;
+}
+
+// Forget stored alerts of a run that a replay did not raise again
+function pruneAlerts(run) {
+  const raised = new Set(run.alertState.alerts.map((alert) => alert.id));
+  deleteAlerts((alert) => alert.run_id === run.id && !raised.has(alert.id));
+}
+
+// After a silent replay (a seek or a restore), carry on with the stored
+// copies of the run's alerts. They take the replayed row range and activity
+// but keep the wall-clock times and actions already recorded, so a replay
+// never restamps an alert. Only alerts that are new or changed are saved.
+function adoptStoredAlerts(run) {
+  const state = run.alertState;
+
+  state.alerts = state.alerts.map((alert) => {
+    const stored = getAlert(alert.id);
+    if (stored?.code !== alert.code) {
+      saveAlert(alert);
+      return alert;
+    }
+
+    const before = JSON.stringify(stored);
+    Object.assign(stored, {
+      message: alert.message,
+      active: alert.active,
+      source_row: alert.source_row,
+      first_seen: alert.first_seen,
+      last_seen: alert.last_seen,
+      last_row: alert.last_row,
+      row_count: alert.row_count,
+      cleared_at: alert.active ? null : stored.cleared_at ?? alert.cleared_at,
+    });
+    if (JSON.stringify(stored) !== before) saveAlert(stored);
+    return stored;
+  });
+
+  Object.keys(state.active).forEach((code) => {
+    state.active[code] = getAlert(state.active[code].id);
+  });
+}
+
+function recordAction(alert, action, { by, note }) {
+  alert.actions.push({
+    action,
+    by,
+    note: note || "",
+    at: new Date().toISOString(),
+  });
+  alert.status = statusAfter(alert.actions);
+}
+
+function validateAction(body = {}) {
+  const errors = [];
+  if (typeof body.by !== "string" || body.by.trim() === "") {
+    errors.push("by must name who is acting");
+  }
+  if (body.note !== undefined && typeof body.note !== "string") {
+    errors.push("note must be a string");
+  }
+  return errors;
+}
+
+// Record that someone has seen an open alert. Returns { alert }, { errors }
+// for a bad request or { error } if the alert is past that stage.
+function acknowledgeAlert(alert, body) {
+  const errors = validateAction(body);
+  if (errors.length > 0) return { errors };
+  if (alert.status !== "open") {
+    return { error: `Alert is already ${alert.status}` };
+  }
+
+  recordAction(alert, "acknowledge", { by: body.by.trim(), note: body.note });
+  saveAlert(alert);
+  return { alert };
+}
+
+// Record that someone has dealt with an alert, acknowledged or not
+function resolveAlert(alert, body) {
+  const errors = validateAction(body);
+  if (errors.length > 0) return { errors };
+  if (alert.status === "resolved") {
+    return { error: "Alert is already resolved" };
+  }
+
+  recordAction(alert, "resolve", { by: body.by.trim(), note: body.note });
+  saveAlert(alert);
+  return { alert };
+}
+
+// Codes of the alerts active after a row, for the processed data
+function activeAlertCodes(run) {
+  return Object.keys(run.alertState.active).join(", ");
+}
+
+function alertMetrics(run) {
+  const active = Object.values(run.alertState.active);
+  return {
+    alert_count: run.alertState.alerts.length,
+    active_alerts: Object.fromEntries(
+      SEVERITIES.map((severity) => [
+        severity,
+        active.filter((alert) => alert.severity === severity).length,
+      ])
+    ),
+    unresolved_alert_count: run.alertState.alerts.filter(
+      (alert) => alert.status !== "resolved"
+    ).length,
+  };
+}
+
+loadAlertRules();
+
+module.exports = {
+  SEVERITIES,
+  STATUSES,
+  validateRules,
+  getAlertRules,
+  createAlertState,
+  evaluateAlerts,
+  pruneAlerts,
+  adoptStoredAlerts,
+  acknowledgeAlert,
+  resolveAlert,
+  activeAlertCodes,
+  alertMetrics,
+};
@@ -0,0 +1,85 @@
+const { getDataset, loadDatasetRows } = require("./datasets");
+const { publish } = require("./events");
+const { appendResults } = require("./results");
+const { getRun } = require("./runs");
+const { saveRunRecord } = require("./runStore");
+const {
+  resolveRunData,
+  advanceRow,
+  setStatus,
+  buildSummary,
+} = require("./simulation");
+
+// Rows processed between yields to the event loop and progress reports
+const CHUNK_SIZE = 500;
+
+// Rows sent with the final snapshot so clients can draw their charts
+const SNAPSHOT_ROWS = 500;
+
+// Let other requests run between chunks
+function yieldToEventLoop() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+// Whether a run is still registered and its dataset still exists. Either can
+// be deleted while a batch waits between chunks.
+function isRunCurrent(run) {
+  return getRun(run.id) === run && Boolean(getDataset(run.datasetId));
+}
+
+// Run processRowData over every remaining row in one pass, reporting progress
+// on the run's event stream. Results go to the run's store like a playback.
+// Returns null, having written nothing more, if the run or its dataset is
+// deleted part-way.
+async function processDataset(run) {
+  const { dataset } = resolveRunData(run);
+  const data = loadDatasetRows(dataset);
+  let rows = [];
+
+  setStatus(run, "processing");
+
+  while (run.currentRowIndex < data.length) {
+    const chunkEnd = Math.min(run.currentRowIndex + CHUNK_SIZE, data.length);
+    const chunk = [];
+
+    while (run.currentRowIndex < chunkEnd) {
+      const { row, outageTransitions, loadTransitions, alertTransitions } =
+        advanceRow(run, data);
+      chunk.push(row);
+      outageTransitions.forEach((transition) =>
+        publish(run, "outage", transition)
+      );
+      loadTransitions.forEach((transition) => publish(run, "load", transition));
+      alertTransitions.forEach((transition) =>
+        publish(run, "alert", transition)
+      );
+    }
+    appendResults(run, chunk);
+    saveRunRecord(run, buildSummary(run, data.length));
+    rows = rows.concat(chunk).slice(-SNAPSHOT_ROWS);
+
+    publish(run, "progress", {
+      processed: run.currentRowIndex,
+      total: data.length,
+    });
+    await yieldToEventLoop();
+    if (!isRunCurrent(run)) return null;
+  }
+
+  setStatus(run, "finished");
+
+  const summary = buildSummary(run, data.length);
+  publish(run, "seek", {
+    row_index: run.currentRowIndex,
+    rows,
+    summary,
+  });
+  publish(run, "done", summary);
+  return summary;
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  yieldToEventLoop,
+  processDataset,
+};
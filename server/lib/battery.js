@@ -0,0 +1,92 @@
+// Battery state-of-charge model. The server owns the SoC of each run and
+// moves it with the energy that dispatch actually charges or discharges.
+
+// Parse a battery percentage that may be a number or a string. Datasets that
+// store fractions are scaled to percent when their rows are mapped.
+function parseBatteryPercent(value) {
+  const parsed = typeof value === "string" ? parseFloat(value) : value;
+
+  if (typeof parsed !== "number" || Number.isNaN(parsed)) {
+    return null;
+  }
+  return parsed;
+}
+
+function clampSoc(socPercent, config) {
+  return Math.min(
+    config.maxSocPercent,
+    Math.max(config.minSocPercent, socPercent)
+  );
+}
+
+// Round-trip losses are split evenly between charging and discharging
+function oneWayEfficiency(config) {
+  return Math.sqrt(config.roundTripEfficiencyPercent / 100);
+}
+
+// Starting SoC for a run: a configured value, else the first row's reading
+function initialSoc(configuredPercent, firstRow, config) {
+  if (configuredPercent != null) {
+    return clampSoc(configuredPercent, config);
+  }
+
+  const measured = parseBatteryPercent(firstRow?.battery_percent);
+  return measured == null ? config.maxSocPercent : clampSoc(measured, config);
+}
+
+// Energy (kWh) the battery can still absorb before reaching its upper limit
+function chargeHeadroomKwh(socPercent, config) {
+  const storable =
+    ((config.maxSocPercent - socPercent) / 100) * config.batteryCapacityKwh;
+  return Math.max(storable, 0) / oneWayEfficiency(config);
+}
+
+// Energy (kWh) the battery can still deliver before reaching its lower limit.
+// When cold derates capacity, the bottom of the SoC window is out of reach.
+function availableEnergyKwh(socPercent, config) {
+  const stored =
+    ((socPercent - config.minSocPercent) / 100) * config.batteryCapacityKwh;
+  const lockedByColdKwh =
+    (1 - (config.capacityDeratingFactor ?? 1)) *
+    ((config.maxSocPercent - config.minSocPercent) / 100) *
+    config.batteryCapacityKwh;
+  return Math.max(stored - lockedByColdKwh, 0) * oneWayEfficiency(config);
+}
+
+// Apply one step of charge and discharge, limited by power rating and the
+// configured SoC window. Returns energy taken in and delivered, in kWh.
+function applyEnergyFlow(
+  socPercent,
+  { chargeKwh = 0, dischargeKwh = 0, hours },
+  config
+) {
+  const efficiency = oneWayEfficiency(config);
+  const capacity = config.batteryCapacityKwh;
+
+  const charged = Math.min(
+    chargeKwh,
+    config.maxChargeKw * hours,
+    chargeHeadroomKwh(socPercent, config)
+  );
+  const afterCharge = socPercent + ((charged * efficiency) / capacity) * 100;
+
+  const discharged = Math.min(
+    dischargeKwh,
+    config.maxDischargeKw * hours,
+    availableEnergyKwh(afterCharge, config)
+  );
+  const soc = clampSoc(
+    afterCharge - (discharged / efficiency / capacity) * 100,
+    config
+  );
+
+  return { soc, chargedKwh: charged, dischargedKwh: discharged };
+}
+
+module.exports = {
+  parseBatteryPercent,
+  initialSoc,
+  chargeHeadroomKwh,
+  availableEnergyKwh,
+  applyEnergyFlow,
+};
@@ -0,0 +1,199 @@
+// Server-side playback clock for runs. A run plays at a multiple of data
+// time (each row takes its real duration at speed 1) or as fast as possible ("max"),
+// and keeps playing whether or not anyone is watching.
+const {
+  resolveRunData,
+  stepRun,
+  setStatus,
+  replayTo,
+} = require("./simulation");
+const { publish } = require("./events");
+const { loadDatasetRows } = require("./datasets");
+
+const MAX_SPEED = "max";
+const MAX_SPEED_MULTIPLIER = 100000;
+
+// Rows sent with a seek so clients can redraw their charts
+const SEEK_HISTORY_ROWS = 500;
+
+// Parse a speed multiplier; returns null if it is not usable
+function parseSpeed(value) {
+  if (value === MAX_SPEED) return MAX_SPEED;
+
+  const speed = Number(value);
+  if (!Number.isFinite(speed) || speed <= 0 || speed > MAX_SPEED_MULTIPLIER) {
+    return null;
+  }
+  return speed;
+}
+
+// Real milliseconds until the next row at the run's current speed: the data
+// time the last row covered, divided by the speed
+function rowDelayMs(run) {
+  if (run.clock.speed === MAX_SPEED) return 0;
+
+  const found = resolveRunData(run);
+  const row = found && loadDatasetRows(found.dataset)[run.currentRowIndex - 1];
+  const seconds = row?.row_duration_seconds ?? run.config.timestepSeconds;
+  return (seconds * 1000) / run.clock.speed;
+}
+
+function clearTick(run) {
+  const { clock } = run;
+
+  if (clock.timer) {
+    if (clock.immediate) {
+      clearImmediate(clock.timer);
+    } else {
+      clearTimeout(clock.timer);
+    }
+  }
+  clock.timer = null;
+  clock.nextTickAt = null;
+}
+
+function scheduleTick(run, delayMs) {
+  const { clock } = run;
+
+  clearTick(run);
+  clock.immediate = delayMs <= 0;
+  clock.nextTickAt = Date.now() + Math.max(delayMs, 0);
+  clock.timer = clock.immediate
+    ? setImmediate(() => tick(run))
+    : setTimeout(() => tick(run), delayMs);
+}
+
+function tick(run) {
+  run.clock.timer = null;
+
+  if (!resolveRunData(run)) {
+    setStatus(run, "paused");
+    return;
+  }
+
+  const { done } = stepRun(run);
+  if (!done) {
+    scheduleTick(run, rowDelayMs(run));
+  }
+}
+
+function isFinished(run) {
+  return run.status === "finished";
+}
+
+// Batch processing owns the run's cursor until it completes
+function isBatchProcessing(run) {
+  return run.status === "processing";
+}
+
+const BUSY_ERROR = "Run is being batch processed";
+
+// Start playing from the current row, processing it straight away
+function start(run, speed = run.clock.speed) {
+  if (isBatchProcessing(run)) {
+    return { error: BUSY_ERROR };
+  }
+  if (isFinished(run)) {
+    return { error: "Run has finished; seek to replay it" };
+  }
+
+  run.clock.speed = speed;
+  setStatus(run, "running");
+  scheduleTick(run, 0);
+  return {};
+}
+
+// Stop mid-row, remembering how long was left until the next row
+function pause(run) {
+  if (run.status !== "running") {
+    return { error: "Run is not running" };
+  }
+
+  run.clock.remainingMs = Math.max(run.clock.nextTickAt - Date.now(), 0);
+  clearTick(run);
+  setStatus(run, "paused");
+  return {};
+}
+
+// Continue a paused run from where it stopped
+function resume(run) {
+  if (run.status !== "paused") {
+    return { error: "Run is not paused" };
+  }
+
+  setStatus(run, "running");
+  scheduleTick(run, run.clock.remainingMs ?? rowDelayMs(run));
+  run.clock.remainingMs = null;
+  return {};
+}
+
+// Process exactly one row; a playing run is paused first
+function step(run) {
+  if (isBatchProcessing(run)) {
+    return { error: BUSY_ERROR };
+  }
+  if (isFinished(run)) {
+    return { error: "Run has finished; seek to replay it" };
+  }
+  if (run.status === "running") {
+    pause(run);
+  }
+
+  const result = stepRun(run);
+  if (!result.done) {
+    run.clock.remainingMs = null;
+    setStatus(run, "paused");
+  }
+  return { result };
+}
+
+// Jump to a row. Earlier rows are re-processed silently so the battery and
+// cost state are exactly what straight playback would have produced.
+function seek(run, rowIndex) {
+  if (isBatchProcessing(run)) {
+    return { error: BUSY_ERROR };
+  }
+
+  const wasRunning = run.status === "running";
+  clearTick(run);
+
+  const { rows, summary } = replayTo(run, rowIndex);
+  publish(run, "seek", {
+    row_index: run.currentRowIndex,
+    rows: rows.slice(-SEEK_HISTORY_ROWS),
+    summary,
+  });
+
+  run.clock.remainingMs = null;
+  if (wasRunning && run.currentRowIndex < summary.total_rows) {
+    scheduleTick(run, rowDelayMs(run));
+  } else {
+    setStatus(run, run.currentRowIndex === 0 ? "idle" : "paused");
+  }
+  return {};
+}
+
+// Change speed; a playing run keeps the same fraction of its current row
+function setSpeed(run, speed) {
+  const previousDelay = rowDelayMs(run);
+  run.clock.speed = speed;
+
+  if (run.status === "running" && run.clock.nextTickAt != null) {
+    const remaining = Math.max(run.clock.nextTickAt - Date.now(), 0);
+    const fraction = previousDelay > 0 ? remaining / previousDelay : 0;
+    scheduleTick(run, fraction * rowDelayMs(run));
+  }
+
+  publish(run, "state", { status: run.status, speed });
+  return {};
+}
+
+module.exports = {
+  parseSpeed,
+  start,
+  pause,
+  resume,
+  step,
+  seek,
+  setSpeed,
+};
@@ -0,0 +1,114 @@
+const { CHUNK_SIZE, yieldToEventLoop } = require("./batch");
+const { loadDatasetRows } = require("./datasets");
+const { createScenarioRun } = require("./runs");
+const { advanceRow, buildSummary } = require("./simulation");
+
+// Most points per scenario in the overlay series; longer runs are sampled
+const MAX_SERIES_POINTS = 500;
+
+// Share of the load met without the grid: energy that reached the home via
+// the battery after being charged from the grid counts as grid energy, and
+// unserved load counts against it
+function selfSufficiencyPercent(consumptionKwh, gridImportKwh, unservedKwh) {
+  if (consumptionKwh <= 0) return null;
+  return (
+    (100 * Math.max(consumptionKwh - gridImportKwh - unservedKwh, 0)) /
+    consumptionKwh
+  );
+}
+
+function scenarioResult(run, summary, consumptionKwh) {
+  return {
+    name: run.name,
+    strategy: run.strategy,
+    battery_capacity_kwh: run.config.batteryCapacityKwh,
+    total_consumption_kwh: consumptionKwh,
+    total_grid_import_kwh: summary.total_grid_import_kwh,
+    total_unserved_kwh: summary.total_unserved_kwh,
+    equivalent_full_cycles: summary.equivalent_full_cycles,
+    battery_discharge_cycles: summary.battery_discharge_cycles,
+    currency: summary.currency,
+    total_grid_cost: summary.total_grid_cost,
+    self_sufficiency_percent: selfSufficiencyPercent(
+      consumptionKwh,
+      summary.total_grid_import_kwh,
+      summary.total_unserved_kwh
+    ),
+  };
+}
+
+// Process every row of a scenario without storing or publishing anything.
+// Returns its result and the sampled SoC and grid contribution, one entry
+// per `stride` rows.
+async function runScenario(dataset, data, scenario, stride) {
+  const run = createScenarioRun(dataset.id, {
+    ...scenario.options,
+    name: scenario.name,
+    config: scenario.config,
+  });
+  const samples = [];
+  let consumptionKwh = 0;
+
+  while (run.currentRowIndex < data.length) {
+    const { rowIndex, row } = advanceRow(run, data, { persist: false });
+    consumptionKwh += row.total_consumption_kwh;
+    if (rowIndex % stride === 0) {
+      samples.push({
+        timestamp: row.timestamp,
+        battery_percent: row.battery_percent,
+        grid_contribution: row.grid_contribution,
+      });
+    }
+    if (run.currentRowIndex % CHUNK_SIZE === 0) await yieldToEventLoop();
+  }
+
+  run.status = "finished";
+  const summary = buildSummary(run, data.length);
+  return { result: scenarioResult(run, summary, consumptionKwh), samples };
+}
+
+// One point per sampled row with every scenario's SoC and grid contribution,
+// keyed battery_percent_<i> and grid_contribution_<i> by scenario position
+function overlaySeries(samplesByScenario, stride) {
+  return samplesByScenario[0].map((first, n) => {
+    const point = { row_index: n * stride, timestamp: first.timestamp };
+    samplesByScenario.forEach((samples, i) => {
+      point[`battery_percent_${i}`] = samples[n].battery_percent;
+      point[`grid_contribution_${i}`] = samples[n].grid_contribution;
+    });
+    return point;
+  });
+}
+
+// Process a dataset once per scenario and compare the outcomes. Scenarios
+// are { name, config, options } with a full configuration and run options;
+// they run one after another. What-if runs are not kept: nothing is added
+// to the run history, alert store or results, and no events or webhooks
+// are sent.
+async function compareScenarios(dataset, scenarios) {
+  const data = loadDatasetRows(dataset);
+  const stride = Math.max(Math.ceil(data.length / MAX_SERIES_POINTS), 1);
+  const results = [];
+  const samplesByScenario = [];
+
+  for (const scenario of scenarios) {
+    const { result, samples } = await runScenario(
+      dataset,
+      data,
+      scenario,
+      stride
+    );
+    results.push(result);
+    samplesByScenario.push(samples);
+  }
+
+  return {
+    dataset_id: dataset.id,
+    scenarios: results,
+    series: overlaySeries(samplesByScenario, stride),
+  };
+}
+
+module.exports = {
+  compareScenarios,
+};
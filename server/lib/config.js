@@ -0,0 +1,131 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const CONFIG_FILE = path.join(DATA_DIR, "config.json");
+
+// Battery and system parameters, with the limits each value must respect.
+// Fields with options take one of those strings instead of a number.
+const CONFIG_FIELDS = {
+  batteryCapacityKwh: { default: 10, min: 0.1, max: 10000 },
+  minSocPercent: { default: 0, min: 0, max: 100 },
+  maxSocPercent: { default: 100, min: 0, max: 100 },
+  maxChargeKw: { default: 3, min: 0, max: 10000 },
+  maxDischargeKw: { default: 5, min: 0, max: 10000 },
+  roundTripEfficiencyPercent: { default: 95, min: 1, max: 100 },
+  lowBatteryThresholdPercent: { default: 28, min: 0, max: 100 },
+  cycleLifeFullDod: { default: 6000, min: 1, max: 1000000 },
+  calendarFadePercentPerYear: { default: 2, min: 0, max: 100 },
+  timestepSeconds: { default: 20, min: 1, max: 86400 },
+  gaugeMaxWatts: { default: 5000, min: 1, max: 1000000 },
+  gridNominalVoltage: { default: 230, min: 1, max: 1000 },
+  gridNominalFrequencyHz: { default: 50, min: 1, max: 1000 },
+  criticalLoadWatts: { default: 300, min: 0, max: 1000000 },
+  heavyApplianceWatts: { default: 1500, min: 0, max: 1000000 },
+  criticalReservePercent: { default: 20, min: 0, max: 100 },
+  exportMode: {
+    default: "unlimited",
+    options: ["unlimited", "curtail", "zero-export"],
+  },
+  exportLimitWatts: { default: 5000, min: 0, max: 1000000 },
+};
+
+// Settings that no longer exist; dropped from saved configurations
+const RETIRED_FIELDS = ["cycleEfficiencyLossPercent"];
+
+const DEFAULT_CONFIG = Object.fromEntries(
+  Object.entries(CONFIG_FIELDS).map(([key, field]) => [key, field.default])
+);
+
+let currentConfig = { ...DEFAULT_CONFIG };
+
+// Return a list of human-readable problems with a candidate configuration
+function validateConfig(config) {
+  const errors = [];
+
+  Object.keys(config).forEach((key) => {
+    if (!CONFIG_FIELDS[key]) {
+      errors.push(`Unknown setting: ${key}`);
+    }
+  });
+
+  Object.entries(CONFIG_FIELDS).forEach(([key, field]) => {
+    const value = config[key];
+
+    if (field.options) {
+      if (!field.options.includes(value)) {
+        errors.push(`${key} must be one of ${field.options.join(", ")}`);
+      }
+    } else if (typeof value !== "number" || !Number.isFinite(value)) {
+      errors.push(`${key} must be a number`);
+    } else if (value < field.min || value > field.max) {
+      errors.push(`${key} must be between ${field.min} and ${field.max}`);
+    }
+  });
+
+  if (config.minSocPercent >= config.maxSocPercent) {
+    errors.push("minSocPercent must be lower than maxSocPercent");
+  }
+
+  return errors;
+}
+
+// Load the configuration saved by a previous server run, if any
+function loadConfig() {
+  if (!fs.existsSync(CONFIG_FILE)) return;
+
+  try {
+    const saved = {
+      ...DEFAULT_CONFIG,
+      ...JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8")),
+    };
+    RETIRED_FIELDS.forEach((key) => delete saved[key]);
+    const errors = validateConfig(saved);
+
+    if (errors.length > 0) {
+      console.error("Ignoring invalid saved configuration:", errors);
+      return;
+    }
+    currentConfig = saved;
+  } catch (error) {
+    console.error("Error loading configuration:", error);
+  }
+}
+
+function getConfig() {
+  return { ...currentConfig };
+}
+
+// Merge changes into the current configuration and validate the result,
+// without saving it
+function mergeConfig(changes = {}) {
+  const candidate = { ...currentConfig, ...changes };
+  const errors = validateConfig(candidate);
+
+  return errors.length > 0 ? { errors } : { config: candidate };
+}
+
+// Merge changes into the current configuration, validate and persist them
+function updateConfig(changes) {
+  const { config: candidate, errors } = mergeConfig(changes);
+
+  if (errors) {
+    return { errors };
+  }
+
+  ensureDataDir();
+  fs.writeFileSync(CONFIG_FILE, JSON.stringify(candidate, null, 2));
+
+  currentConfig = candidate;
+  return { config: getConfig() };
+}
+
+loadConfig();
+
+module.exports = {
+  DEFAULT_CONFIG,
+  validateConfig,
+  getConfig,
+  mergeConfig,
+  updateConfig,
+};
@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { readRows } = require("./formats");
+const {
+  collectColumns,
+  suggestMapping,
+  validateMapping,
+  validateRows,
+  applyMapping,
+} = require("./schema");
+const { annotateDurations } = require("./timeline");
+const {
+  DATA_DIR,
+  UPLOADS_DIR,
+  ensureDataDir,
+  ensureUploadsDir,
+} = require("./paths");
+
+const REGISTRY_FILE = path.join(DATA_DIR, "datasets.json");
+
+// Dataset metadata, keyed by dataset ID
+const datasets = new Map();
+
+// Parsed rows with the column mapping applied, keyed by dataset ID. Files are
+// parsed once, not on every tick.
+const rowCache = new Map();
+
+// Load the registry persisted by previous server runs
+function loadRegistry() {
+  if (!fs.existsSync(REGISTRY_FILE)) return;
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(REGISTRY_FILE, "utf8"));
+    entries.forEach((entry) => datasets.set(entry.id, entry));
+  } catch (error) {
+    console.error("Error loading dataset registry:", error);
+  }
+}
+
+function saveRegistry() {
+  ensureDataDir();
+  fs.writeFileSync(
+    REGISTRY_FILE,
+    JSON.stringify(Array.from(datasets.values()), null, 2)
+  );
+}
+
+// Resolve a stored file name, refusing anything outside the uploads directory
+function resolveUploadPath(fileName) {
+  const filePath = path.resolve(UPLOADS_DIR, fileName);
+  const relative = path.relative(UPLOADS_DIR, filePath);
+
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return null;
+  }
+  return filePath;
+}
+
+// Parse a dataset's file into row objects. Datasets registered before other
+// formats were supported are Excel.
+function parseDatasetFile(filePath, dataset) {
+  return readRows(filePath, dataset.format || "excel", dataset.parseOptions);
+}
+
+// Map raw rows to the expected fields and work out how long each row lasts.
+// Records the timeline report on the dataset and caches the rows.
+function prepareRows(dataset, rawRows, mapping) {
+  const { rows, report } = annotateDurations(applyMapping(rawRows, mapping));
+  dataset.timeline = report;
+  rowCache.set(dataset.id, rows);
+  return rows;
+}
+
+// Store an uploaded file under an opaque ID and record its metadata. Files
+// that cannot be parsed are removed again and reported with invalidDataset set.
+function registerDataset(file, { format, parseOptions = {} }, callback) {
+  const id = crypto.randomUUID();
+  const fileName = id + path.extname(file.name).toLowerCase();
+  const filePath = resolveUploadPath(fileName);
+
+  ensureUploadsDir();
+
+  file.mv(filePath, (err) => {
+    if (err) return callback(err);
+
+    const dataset = {
+      id,
+      originalName: file.name,
+      fileName,
+      format,
+      parseOptions,
+      size: file.size,
+      uploadedAt: new Date().toISOString(),
+    };
+
+    let rows;
+    try {
+      rows = parseDatasetFile(filePath, dataset);
+    } catch (error) {
+      fs.unlinkSync(filePath);
+      error.invalidDataset = true;
+      return callback(error);
+    }
+    dataset.rowCount = rows.length;
+
+    // Map headers that already match; the client can correct the rest
+    dataset.columnMapping = suggestMapping(collectColumns(rows));
+    dataset.validation = validateRows(rows, dataset.columnMapping);
+
+    datasets.set(id, dataset);
+    prepareRows(dataset, rows, dataset.columnMapping);
+    saveRegistry();
+    callback(null, dataset);
+  });
+}
+
+function getDataset(id) {
+  return datasets.get(id) || null;
+}
+
+function listDatasets() {
+  return Array.from(datasets.values());
+}
+
+// Absolute path of a dataset's file, or null if it is missing or out of bounds
+function getDatasetPath(dataset) {
+  const filePath = resolveUploadPath(dataset.fileName);
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  return filePath;
+}
+
+// Rows of a dataset, parsed on first use and cached from then on
+function loadDatasetRows(dataset) {
+  if (rowCache.has(dataset.id)) return rowCache.get(dataset.id);
+
+  const filePath = getDatasetPath(dataset);
+  if (!filePath) return [];
+
+  let rows;
+  try {
+    rows = parseDatasetFile(filePath, dataset);
+  } catch (error) {
+    console.error("Error loading dataset:", error);
+    return [];
+  }
+  const mapping = dataset.columnMapping || suggestMapping(collectColumns(rows));
+  return prepareRows(dataset, rows, mapping);
+}
+
+// Whether a dataset passed validation. Datasets registered before uploads
+// were validated have no report and are allowed.
+function isDatasetValid(dataset) {
+  return !dataset.validation || dataset.validation.valid;
+}
+
+// Map dataset headers to the expected fields and re-validate every row
+function updateColumnMapping(id, mapping) {
+  const dataset = datasets.get(id);
+  const filePath = dataset && getDatasetPath(dataset);
+  if (!filePath) return null;
+
+  const rows = parseDatasetFile(filePath, dataset);
+  const errors = validateMapping(mapping, collectColumns(rows));
+  if (errors.length > 0) return { errors };
+
+  dataset.columnMapping = Object.fromEntries(
+    Object.entries(mapping).filter(([, column]) => column)
+  );
+  dataset.validation = validateRows(rows, dataset.columnMapping);
+
+  prepareRows(dataset, rows, dataset.columnMapping);
+  saveRegistry();
+  return { dataset };
+}
+
+// Remove a dataset and its uploaded file
+function deleteDataset(id) {
+  const dataset = datasets.get(id);
+  if (!dataset) return false;
+
+  const filePath = getDatasetPath(dataset);
+  if (filePath) {
+    fs.unlinkSync(filePath);
+  }
+
+  datasets.delete(id);
+  rowCache.delete(id);
+  saveRegistry();
+  return true;
+}
+
+loadRegistry();
+
+module.exports = {
+  registerDataset,
+  getDataset,
+  getDatasetPath,
+  listDatasets,
+  loadDatasetRows,
+  isDatasetValid,
+  updateColumnMapping,
+  deleteDataset,
+};
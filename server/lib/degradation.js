@@ -0,0 +1,208 @@
+// Battery ageing from rainflow-counted SoC cycles and elapsed calendar time.
+// State of health (SoH) is the share of nameplate capacity still usable.
+
+// Capacity lost by the end of cycle life, in percent of nameplate
+const END_OF_LIFE_FADE_PERCENT = 20;
+
+// Cycle life grows as cycles get shallower: N(dod) = N(100%) * dod^-k
+const DOD_EXPONENT = 1.5;
+
+// Smallest SoC swing counted as a cycle, in percent
+const MIN_CYCLE_RANGE_PERCENT = 0.5;
+
+// Floor for state of health, so usable capacity never reaches zero
+const MIN_STATE_OF_HEALTH_PERCENT = 1;
+
+const SECONDS_PER_YEAR = 365.25 * 24 * 3600;
+
+function createDegradationState() {
+  return {
+    // Confirmed SoC reversals not yet closed into cycles, oldest first
+    reversals: [],
+    // Furthest SoC point since the last reversal
+    current: null,
+    cycles: [],
+    cycleFadePercent: 0,
+    calendarFadePercent: 0,
+    // Full cycles from closed cycles only; see equivalentFullCycles
+    equivalentFullCycles: 0,
+  };
+}
+
+function stateOfHealth(state) {
+  return Math.max(
+    100 - state.cycleFadePercent - state.calendarFadePercent,
+    MIN_STATE_OF_HEALTH_PERCENT
+  );
+}
+
+// Nameplate settings with the capacity scaled down to what is still usable
+function degradedConfig(config, state) {
+  return {
+    ...config,
+    batteryCapacityKwh:
+      (config.batteryCapacityKwh * stateOfHealth(state)) / 100,
+  };
+}
+
+// Capacity fade from one cycle of a given range (percent of SoC), counted
+// as a full or half cycle. Cycles at heat-accelerated ageing fade faster.
+function cycleFade(rangePercent, count, ageingFactor, config) {
+  const depth = rangePercent / 100;
+  const cycleLife = config.cycleLifeFullDod * Math.pow(depth, -DOD_EXPONENT);
+  return (count / cycleLife) * END_OF_LIFE_FADE_PERCENT * ageingFactor;
+}
+
+function recordCycle(state, from, to, count, config) {
+  const range = Math.abs(to.soc - from.soc);
+  if (range < MIN_CYCLE_RANGE_PERCENT) return;
+
+  // A cycle ages at the mean of the factors at its two ends
+  const ageingFactor = ((from.ageingFactor ?? 1) + (to.ageingFactor ?? 1)) / 2;
+  const fade = cycleFade(range, count, ageingFactor, config);
+  state.cycleFadePercent += fade;
+  state.equivalentFullCycles += (count * range) / 100;
+  state.cycles.push({
+    id: state.cycles.length + 1,
+    count,
+    depth_percent: range,
+    mean_soc_percent: (from.soc + to.soc) / 2,
+    start_row: from.rowIndex,
+    end_row: to.rowIndex,
+    start: from.timestamp,
+    end: to.timestamp,
+    fade_percent: fade,
+  });
+}
+
+// Four-point rainflow: close cycles whenever a range is at least as large as
+// the one before it. Ranges reaching back to the start of the trace are half
+// cycles.
+function extractCycles(state, config) {
+  const stack = state.reversals;
+
+  while (stack.length >= 3) {
+    const n = stack.length;
+    const latest = Math.abs(stack[n - 1].soc - stack[n - 2].soc);
+    const previous = Math.abs(stack[n - 2].soc - stack[n - 3].soc);
+    if (latest < previous) break;
+
+    if (n === 3) {
+      recordCycle(state, stack[0], stack[1], 0.5, config);
+      stack.shift();
+    } else {
+      recordCycle(state, stack[n - 3], stack[n - 2], 1, config);
+      stack.splice(n - 3, 2);
+    }
+  }
+}
+
+// Follow the SoC trace and close any cycles it completes. The trace starts
+// at a reversal; after that a point turns into one when the trace changes
+// direction at it.
+function trackSoc(state, point, config) {
+  const last = state.reversals[state.reversals.length - 1];
+  if (!last) {
+    state.reversals.push(point);
+    return;
+  }
+
+  const { current } = state;
+  if (current && point.soc === current.soc) return;
+  if (!current) {
+    if (point.soc !== last.soc) state.current = point;
+    return;
+  }
+
+  if (
+    Math.sign(current.soc - last.soc) !== Math.sign(point.soc - current.soc)
+  ) {
+    state.reversals.push(current);
+    extractCycles(state, config);
+  }
+  state.current = point;
+}
+
+// The SoC points still open at the end of the trace
+function openTrace(state) {
+  return state.current ? [...state.reversals, state.current] : state.reversals;
+}
+
+// Equivalent full cycles so far: the closed cycles plus, as in standard
+// rainflow counting, each range still open counted as a half cycle
+function equivalentFullCycles(state) {
+  const trace = openTrace(state);
+  let total = state.equivalentFullCycles;
+  for (let i = 0; i + 1 < trace.length; i++) {
+    const range = Math.abs(trace[i + 1].soc - trace[i].soc);
+    if (range >= MIN_CYCLE_RANGE_PERCENT) total += (0.5 * range) / 100;
+  }
+  return total;
+}
+
+// Age the battery by one row: its SoC swing and the time it covered
+function ageBattery(
+  run,
+  { socPercent, hours, rowIndex, timestamp, ageingFactor = 1 }
+) {
+  const state = run.degradation;
+  const { config } = run;
+
+  trackSoc(
+    state,
+    { soc: socPercent, rowIndex, timestamp, ageingFactor },
+    config
+  );
+  state.calendarFadePercent +=
+    ((hours * 3600) / SECONDS_PER_YEAR) *
+    config.calendarFadePercentPerYear *
+    ageingFactor;
+
+  return {
+    state_of_health_percent: stateOfHealth(state),
+    usable_capacity_kwh: degradedConfig(config, state).batteryCapacityKwh,
+    equivalent_full_cycles: equivalentFullCycles(state),
+  };
+}
+
+// Cycles still open at the end of the trace, counted as half cycles
+function residualCycles(state, config) {
+  const trace = openTrace(state);
+  const residual = createDegradationState();
+  for (let i = 0; i + 1 < trace.length; i++) {
+    recordCycle(residual, trace[i], trace[i + 1], 0.5, config);
+  }
+  return residual.cycles.map((cycle) => ({ ...cycle, open: true }));
+}
+
+// Counted cycles followed by the open half cycles
+function cycleHistory(run) {
+  const state = run.degradation;
+  return [
+    ...state.cycles.map((cycle) => ({ ...cycle, open: false })),
+    ...residualCycles(state, run.config).map((cycle, i) => ({
+      ...cycle,
+      id: state.cycles.length + i + 1,
+    })),
+  ];
+}
+
+function degradationMetrics(run) {
+  const state = run.degradation;
+  return {
+    state_of_health_percent: stateOfHealth(state),
+    usable_capacity_kwh: degradedConfig(run.config, state).batteryCapacityKwh,
+    cycle_fade_percent: state.cycleFadePercent,
+    calendar_fade_percent: state.calendarFadePercent,
+    equivalent_full_cycles: equivalentFullCycles(state),
+    counted_cycles: state.cycles.length,
+  };
+}
+
+module.exports = {
+  createDegradationState,
+  degradedConfig,
+  ageBattery,
+  cycleHistory,
+  degradationMetrics,
+};
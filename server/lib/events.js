@@ -0,0 +1,81 @@
+// Server-Sent Events for runs. Every run keeps a bounded log of the events it
+// published so a subscriber can resume from the Last-Event-ID it last saw.
+const { notifyWebhooks } = require("./webhooks");
+
+const MAX_BUFFERED_EVENTS = 1000;
+const HEARTBEAT_MS = 15000;
+
+function createEventLog() {
+  return {
+    nextId: 1,
+    events: [],
+    subscribers: new Set(),
+  };
+}
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Record an event on the run and push it to every subscriber and to the
+// webhooks subscribed to it
+function publish(run, type, data) {
+  const log = run.eventLog;
+  const event = { id: log.nextId++, type, data };
+
+  log.events.push(event);
+  if (log.events.length > MAX_BUFFERED_EVENTS) {
+    log.events.shift();
+  }
+
+  const message = formatEvent(event);
+  log.subscribers.forEach((res) => res.write(message));
+  notifyWebhooks(run, type, data);
+  return event;
+}
+
+// Attach an HTTP response as a subscriber, replaying what it missed
+function subscribe(run, req, res) {
+  const log = run.eventLog;
+  const lastEventId = parseInt(
+    req.get("Last-Event-ID") ?? req.query.lastEventId,
+    10
+  );
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.write("retry: 3000\n\n");
+
+  log.events
+    .filter((event) => Number.isNaN(lastEventId) || event.id > lastEventId)
+    .forEach((event) => res.write(formatEvent(event)));
+
+  log.subscribers.add(res);
+
+  // Comments keep idle connections open through proxies
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    log.subscribers.delete(res);
+  });
+}
+
+// Close every open stream of a run, e.g. when it is deleted
+function closeSubscribers(run) {
+  run.eventLog.subscribers.forEach((res) => res.end());
+  run.eventLog.subscribers.clear();
+}
+
+module.exports = {
+  createEventLog,
+  publish,
+  subscribe,
+  closeSubscribers,
+};
@@ -0,0 +1,303 @@
+const { MS_PER_DAY, minutesOfDay, parseTimestamp } = require("./time");
+
+const TARGETS = ["solar_input_watts", "household_power_demand_watts"];
+const MODELS = ["seasonal-naive", "regression"];
+const DEFAULT_MODEL = "regression";
+
+// Recent rows the models learn from, and the most steps one forecast covers
+const HISTORY_ROWS = 5000;
+const MAX_FORECAST_STEPS = 2000;
+
+// Keeps the regression solvable when a feature never varies
+const RIDGE_LAMBDA = 1e-3;
+
+function createForecastState() {
+  return {
+    // Latest rows, holding just what the models learn from, so a forecast
+    // never has to read the run's stored results
+    history: [],
+    // Latest issued forecast per model, keyed by the row index it predicts
+    issued: null,
+    errors: Object.fromEntries(
+      MODELS.map((model) => [
+        model,
+        Object.fromEntries(
+          TARGETS.map((target) => [
+            target,
+            { count: 0, absError: 0, pctCount: 0, absPctError: 0 },
+          ])
+        ),
+      ])
+    ),
+  };
+}
+
+// Keep a processed row in the run's history window. The window is trimmed
+// once it holds twice what the models use, so adding a row stays cheap.
+function trackForecastHistory(run, row) {
+  const { history } = run.forecast;
+  history.push({
+    timestamp: row.timestamp,
+    weather_condition: row.weather_condition,
+    ambient_temperature_celsius: row.ambient_temperature_celsius,
+    ...Object.fromEntries(TARGETS.map((target) => [target, row[target]])),
+  });
+  if (history.length > 2 * HISTORY_ROWS) {
+    history.splice(0, history.length - HISTORY_ROWS);
+  }
+}
+
+// Minute of the day a row falls in, or null when its time is unknown
+function rowMinute(row) {
+  const minute = minutesOfDay(row.timestamp);
+  if (minute != null) return minute;
+
+  const parsed = parseTimestamp(row.timestamp);
+  return parsed ? Math.floor((parsed.ms % MS_PER_DAY) / 60000) : null;
+}
+
+// Time of day as a point on a circle, so 23:59 sits next to 00:00
+function timeOfDayFeatures(minute) {
+  const angle = ((minute ?? 0) / (24 * 60)) * 2 * Math.PI;
+  return [
+    Math.sin(angle),
+    Math.cos(angle),
+    Math.sin(2 * angle),
+    Math.cos(2 * angle),
+  ];
+}
+
+function featureVector(features, weatherLevels) {
+  return [
+    1,
+    ...timeOfDayFeatures(features.minute),
+    ...weatherLevels.map((level) => (features.weather === level ? 1 : 0)),
+    features.temperature ?? 0,
+  ];
+}
+
+function rowFeatures(row) {
+  const temperature = Number(row.ambient_temperature_celsius);
+  return {
+    minute: rowMinute(row),
+    weather:
+      typeof row.weather_condition === "string"
+        ? row.weather_condition.trim().toLowerCase()
+        : null,
+    temperature: Number.isFinite(temperature) ? temperature : null,
+  };
+}
+
+// Solve (XᵀX + λI) w = Xᵀy by Gaussian elimination with partial pivoting
+function fitRidge(inputs, outputs) {
+  const size = inputs[0].length;
+  const a = Array.from({ length: size }, (_, i) =>
+    Array.from({ length: size + 1 }, (_, j) => (i === j ? RIDGE_LAMBDA : 0))
+  );
+  inputs.forEach((x, n) => {
+    for (let i = 0; i < size; i++) {
+      for (let j = 0; j < size; j++) a[i][j] += x[i] * x[j];
+      a[i][size] += x[i] * outputs[n];
+    }
+  });
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+    for (let row = 0; row < size; row++) {
+      if (row === col || a[col][col] === 0) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let j = col; j <= size; j++) a[row][j] -= factor * a[col][j];
+    }
+  }
+  return a.map((row, i) => (row[i] === 0 ? 0 : row[size] / row[i]));
+}
+
+// Seasonal naive: the latest value seen at the same time of day, else the
+// latest value at all
+function seasonalNaive(history, slotMinutes) {
+  const bySlot = new Map();
+  history.forEach((row) => {
+    const minute = rowMinute(row);
+    if (minute != null) bySlot.set(Math.floor(minute / slotMinutes), row);
+  });
+  const last = history[history.length - 1];
+
+  return (features, target) => {
+    const match =
+      features.minute == null
+        ? null
+        : bySlot.get(Math.floor(features.minute / slotMinutes));
+    return Number((match || last)[target]) || 0;
+  };
+}
+
+// Linear regression on time of day, weather condition and temperature
+function regression(history) {
+  const weatherLevels = [
+    ...new Set(history.map((row) => rowFeatures(row).weather).filter(Boolean)),
+  ];
+  const inputs = history.map((row) =>
+    featureVector(rowFeatures(row), weatherLevels)
+  );
+  const weights = Object.fromEntries(
+    TARGETS.map((target) => [
+      target,
+      fitRidge(
+        inputs,
+        history.map((row) => Number(row[target]) || 0)
+      ),
+    ])
+  );
+
+  return (features, target) => {
+    const x = featureVector(features, weatherLevels);
+    return weights[target].reduce((sum, w, i) => sum + w * x[i], 0);
+  };
+}
+
+// Timestamp label for a step after the last row, in the data's own style
+function futureTimestamp(lastTime, offsetMs) {
+  if (!lastTime) return null;
+  if (lastTime.timeOnly) {
+    const minute = Math.floor(((lastTime.ms + offsetMs) % MS_PER_DAY) / 60000);
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${pad(Math.floor(minute / 60))}:${pad(minute % 60)}`;
+  }
+  return new Date(lastTime.ms + offsetMs).toISOString().slice(0, 19);
+}
+
+// Forecast the next hours of solar and demand from a run's latest rows.
+// Future weather and temperature are unknown, so the last observed values
+// persist across the horizon. Returns { result, issued } or { error }; the
+// run is left as it was until the forecast is issued.
+function forecastRun(run, { hours, model, intervalSeconds }) {
+  const recent = run.forecast.history.slice(-HISTORY_ROWS);
+  if (recent.length === 0) {
+    return { error: "No processed rows to forecast from yet" };
+  }
+
+  const steps = Math.min(
+    Math.ceil((hours * 3600) / intervalSeconds),
+    MAX_FORECAST_STEPS
+  );
+  const slotMinutes = Math.max(intervalSeconds / 60, 1);
+  const predictors = {
+    "seasonal-naive": seasonalNaive(recent, slotMinutes),
+    regression: regression(recent),
+  };
+
+  const last = recent[recent.length - 1];
+  const lastFeatures = rowFeatures(last);
+  const lastTime = parseTimestamp(last.timestamp);
+  const fromRow = run.currentRowIndex;
+
+  const issued = {};
+  MODELS.forEach((name) => {
+    issued[name] = [];
+    for (let step = 1; step <= steps; step++) {
+      const offsetMs = step * intervalSeconds * 1000;
+      const features = {
+        ...lastFeatures,
+        minute:
+          lastFeatures.minute == null
+            ? null
+            : (lastFeatures.minute + offsetMs / 60000) % (24 * 60),
+      };
+      const point = {
+        row_index: fromRow + step - 1,
+        timestamp: futureTimestamp(lastTime, offsetMs),
+        offset_seconds: offsetMs / 1000,
+      };
+      TARGETS.forEach((target) => {
+        point[target] = Math.max(predictors[name](features, target), 0);
+      });
+      issued[name].push(point);
+    }
+  });
+
+  return {
+    issued: { fromRow, points: issued },
+    result: {
+      run_id: run.id,
+      model,
+      models: MODELS,
+      from_row: fromRow,
+      horizon_hours: hours,
+      interval_seconds: intervalSeconds,
+      history_rows: recent.length,
+      points: issued[model],
+      metrics: forecastMetrics(run),
+    },
+  };
+}
+
+// Keep a forecast on the run so the rows that arrive later are scored
+// against it
+function issueForecast(run, issued) {
+  run.forecast.issued = issued;
+}
+
+// Score an arriving row against the forecast issued for it, if any
+function scoreForecast(run, row, rowIndex) {
+  const issued = run.forecast.issued;
+  if (!issued) return;
+
+  const offset = rowIndex - issued.fromRow;
+  MODELS.forEach((model) => {
+    const point = issued.points[model][offset];
+    if (!point) return;
+
+    TARGETS.forEach((target) => {
+      const actual = Number(row[target]) || 0;
+      const error = Math.abs(point[target] - actual);
+      const totals = run.forecast.errors[model][target];
+      totals.count++;
+      totals.absError += error;
+      // MAPE is undefined where the actual value is zero, e.g. solar at night
+      if (actual !== 0) {
+        totals.pctCount++;
+        totals.absPctError += (error / Math.abs(actual)) * 100;
+      }
+    });
+  });
+}
+
+// MAE and MAPE of each model against the rows scored so far
+function forecastMetrics(run) {
+  return Object.fromEntries(
+    MODELS.map((model) => [
+      model,
+      Object.fromEntries(
+        TARGETS.map((target) => {
+          const totals = run.forecast.errors[model][target];
+          return [
+            target,
+            {
+              scored_rows: totals.count,
+              mae: totals.count > 0 ? totals.absError / totals.count : null,
+              mape:
+                totals.pctCount > 0
+                  ? totals.absPctError / totals.pctCount
+                  : null,
+            },
+          ];
+        })
+      ),
+    ])
+  );
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_MODEL,
+  createForecastState,
+  trackForecastHistory,
+  forecastRun,
+  issueForecast,
+  scoreForecast,
+  forecastMetrics,
+};
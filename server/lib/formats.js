@@ -0,0 +1,315 @@
+const fs = require("fs");
+const path = require("path");
+const XLSX = require("xlsx");
+
+// Supported dataset formats and the extensions that select them
+const FORMAT_EXTENSIONS = {
+  excel: [".xlsx", ".xls"],
+  csv: [".csv", ".tsv", ".txt"],
+  json: [".json"],
+  ndjson: [".ndjson", ".jsonl"],
+};
+
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+const DECIMAL_SEPARATORS = [".", ","];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Pick a format from the file extension, sniffing the content of .json files
+// since JSON arrays and JSON lines are often both saved that way
+function detectFormat(fileName, buffer) {
+  const extension = path.extname(fileName).toLowerCase();
+  const format = Object.keys(FORMAT_EXTENSIONS).find((key) =>
+    FORMAT_EXTENSIONS[key].includes(extension)
+  );
+
+  if (format === "json") {
+    const text = buffer.toString("utf8").trimStart();
+    return text.startsWith("[") ? "json" : "ndjson";
+  }
+  return format || null;
+}
+
+function acceptedExtensions() {
+  return Object.values(FORMAT_EXTENSIONS).flat();
+}
+
+// Validate CSV parsing options supplied with an upload
+function parseCsvOptions(body = {}) {
+  const errors = [];
+  const options = {};
+
+  if (body.delimiter !== undefined && body.delimiter !== "") {
+    const delimiter = body.delimiter === "\\t" ? "\t" : body.delimiter;
+    if (!CSV_DELIMITERS.includes(delimiter)) {
+      errors.push(`delimiter must be one of: , ; \\t |`);
+    } else {
+      options.delimiter = delimiter;
+    }
+  }
+
+  if (body.decimalSeparator !== undefined && body.decimalSeparator !== "") {
+    if (!DECIMAL_SEPARATORS.includes(body.decimalSeparator)) {
+      errors.push("decimalSeparator must be '.' or ','");
+    } else {
+      options.decimalSeparator = body.decimalSeparator;
+    }
+  }
+
+  if (options.delimiter && options.delimiter === options.decimalSeparator) {
+    errors.push("delimiter and decimalSeparator must differ");
+  }
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+// Guess the delimiter from whichever candidate splits the header the most
+function detectDelimiter(headerLine, decimalSeparator) {
+  let best = ",";
+  let bestCount = 0;
+
+  for (const candidate of CSV_DELIMITERS) {
+    if (candidate === decimalSeparator) continue;
+    const count = headerLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// Split CSV text into records of raw fields, honouring quoted fields
+function splitCsv(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  return records.filter((r) => r.length > 1 || r[0] !== "");
+}
+
+// Turn a CSV field into the value type Excel parsing would have produced
+function csvValue(raw, decimalSeparator) {
+  const value = raw.trim();
+  const lower = value.toLowerCase();
+
+  if (lower === "true") return true;
+  if (lower === "false") return false;
+
+  const numeric = decimalSeparator === "," ? value.replace(",", ".") : value;
+  if (NUMBER_PATTERN.test(numeric)) return Number(numeric);
+
+  return value;
+}
+
+// Fill in the CSV options an upload left out, so results are written back
+// with the same delimiter the file was read with
+function resolveParseOptions(format, buffer, options = {}) {
+  if (format !== "csv") return {};
+
+  const decimalSeparator = options.decimalSeparator || ".";
+  const headerLine = stripBom(buffer.toString("utf8")).split(/\r?\n/, 1)[0];
+  return {
+    delimiter:
+      options.delimiter || detectDelimiter(headerLine, decimalSeparator),
+    decimalSeparator,
+  };
+}
+
+function stripBom(text) {
+  return text.replace(/^\uFEFF/, "");
+}
+
+function parseCsv(text, options = {}) {
+  const decimalSeparator = options.decimalSeparator || ".";
+  const body = stripBom(text);
+  const delimiter =
+    options.delimiter ||
+    detectDelimiter(body.split(/\r?\n/, 1)[0], decimalSeparator);
+
+  const [header, ...records] = splitCsv(body, delimiter);
+  if (!header) return [];
+
+  const columns = header.map((name) => name.trim());
+  return records.map((record) =>
+    Object.fromEntries(
+      columns.map((column, index) => [
+        column,
+        csvValue(record[index] ?? "", decimalSeparator),
+      ])
+    )
+  );
+}
+
+function assertRowObjects(rows, source) {
+  rows.forEach((row, index) => {
+    if (!row || typeof row !== "object" || Array.isArray(row)) {
+      throw new Error(`${source} ${index + 1} is not an object`);
+    }
+  });
+  return rows;
+}
+
+function parseJson(text) {
+  const data = JSON.parse(text);
+  if (!Array.isArray(data)) {
+    throw new Error("JSON datasets must be an array of row objects");
+  }
+  return assertRowObjects(data, "Row");
+}
+
+function parseNdjson(text) {
+  const rows = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+    }
+  });
+  return assertRowObjects(rows, "Line");
+}
+
+function parseExcel(filePath) {
+  const workbook = XLSX.readFile(filePath);
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(worksheet);
+}
+
+// Parse a stored dataset file into row objects. Throws on malformed input.
+function readRows(filePath, format, options = {}) {
+  if (format === "excel") return parseExcel(filePath);
+
+  const text = fs.readFileSync(filePath, "utf8");
+  switch (format) {
+    case "csv":
+      return parseCsv(text, options);
+    case "json":
+      return parseJson(text);
+    case "ndjson":
+      return parseNdjson(text);
+    default:
+      throw new Error(`Unsupported dataset format: ${format}`);
+  }
+}
+
+function csvField(value, delimiter, decimalSeparator) {
+  if (value === undefined || value === null) return "";
+
+  let text = String(value);
+  if (typeof value === "number" && decimalSeparator === ",") {
+    text = text.replace(".", ",");
+  }
+
+  if (
+    text.includes(delimiter) ||
+    text.includes('"') ||
+    text.includes("\n") ||
+    text.includes("\r")
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function formatCsv(rows, options = {}) {
+  const delimiter = options.delimiter || ",";
+  const decimalSeparator = options.decimalSeparator || ".";
+
+  // Union of columns, in first-seen order
+  const columns = [];
+  rows.forEach((row) =>
+    Object.keys(row).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    })
+  );
+
+  const lines = [columns.map((c) => csvField(c, delimiter)).join(delimiter)];
+  rows.forEach((row) =>
+    lines.push(
+      columns
+        .map((c) => csvField(row[c], delimiter, decimalSeparator))
+        .join(delimiter)
+    )
+  );
+  return lines.join("\n") + "\n";
+}
+
+// Write rows in the given format. Excel book type follows the file extension.
+function writeRows(filePath, rows, format, options = {}) {
+  switch (format) {
+    case "excel": {
+      const workbook = XLSX.utils.book_new();
+      XLSX.utils.book_append_sheet(
+        workbook,
+        XLSX.utils.json_to_sheet(rows),
+        "Results"
+      );
+      XLSX.writeFile(workbook, filePath);
+      break;
+    }
+    case "csv":
+      fs.writeFileSync(filePath, formatCsv(rows, options));
+      break;
+    case "json":
+      fs.writeFileSync(filePath, JSON.stringify(rows, null, 2));
+      break;
+    case "ndjson":
+      fs.writeFileSync(
+        filePath,
+        rows.map((row) => JSON.stringify(row) + "\n").join("")
+      );
+      break;
+    default:
+      throw new Error(`Unsupported dataset format: ${format}`);
+  }
+}
+
+module.exports = {
+  detectFormat,
+  acceptedExtensions,
+  parseCsvOptions,
+  resolveParseOptions,
+  splitCsv,
+  csvValue,
+  readRows,
+  formatCsv,
+  writeRows,
+};
@@ -0,0 +1,59 @@
+const { canExportToGrid } = require("./gridStates");
+const { wattsToKwh } = require("./strategies/common");
+
+function createGridExchangeState() {
+  return { importedKwh: 0, exportedKwh: 0, curtailedKwh: 0 };
+}
+
+// Most energy that may be exported this step under the configured mode:
+//   unlimited    everything left over is exported
+//   curtail      export up to exportLimitWatts, the rest is curtailed
+//   zero-export  nothing is exported, all of it is curtailed
+function exportLimitKwh(config, hours) {
+  switch (config.exportMode) {
+    case "zero-export":
+      return 0;
+    case "curtail":
+      return wattsToKwh(config.exportLimitWatts, hours);
+    default:
+      return Infinity;
+  }
+}
+
+// Split surplus solar into export and curtailment. Nothing is exported while
+// the grid is unhealthy; inverters disconnect rather than feed it.
+function dispatchSurplus(surplusKwh, { state, config, hours }) {
+  const surplus = Math.max(surplusKwh, 0);
+  const limit = canExportToGrid(state) ? exportLimitKwh(config, hours) : 0;
+  const grid_export_kwh = Math.min(surplus, limit);
+
+  return {
+    grid_export_kwh,
+    curtailed_solar_kwh: surplus - grid_export_kwh,
+  };
+}
+
+// Add a row's grid exchange to the run's net-metering totals
+function trackGridExchange(run, row) {
+  const state = run.gridExchange;
+  state.importedKwh += row.grid_import_kwh;
+  state.exportedKwh += row.grid_export_kwh;
+  state.curtailedKwh += row.curtailed_solar_kwh;
+}
+
+function netMeteringMetrics(run) {
+  const state = run.gridExchange;
+  return {
+    total_grid_import_kwh: state.importedKwh,
+    total_grid_export_kwh: state.exportedKwh,
+    net_grid_import_kwh: state.importedKwh - state.exportedKwh,
+    total_curtailed_solar_kwh: state.curtailedKwh,
+  };
+}
+
+module.exports = {
+  createGridExchangeState,
+  dispatchSurplus,
+  trackGridExchange,
+  netMeteringMetrics,
+};
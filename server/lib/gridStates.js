@@ -0,0 +1,175 @@
+// Canonical grid states and how dispatch treats each one. Rows may spell
+// states however their source does; they are normalized on ingest.
+const GRID_STATES = {
+  normal: {
+    label: "Normal",
+    gridImport: "full",
+    gridCharging: true,
+  },
+  brownout: {
+    label: "Brownout",
+    gridImport: "limited",
+    gridCharging: false,
+  },
+  voltage_fluctuation: {
+    label: "Voltage fluctuation",
+    gridImport: "none",
+    gridCharging: false,
+  },
+  frequency_deviation: {
+    label: "Frequency deviation",
+    gridImport: "none",
+    gridCharging: false,
+  },
+  scheduled_maintenance: {
+    label: "Scheduled maintenance",
+    gridImport: "none",
+    gridCharging: false,
+  },
+  power_off: {
+    label: "Power off",
+    gridImport: "none",
+    gridCharging: false,
+  },
+};
+
+// Spellings seen in meter exports, after lower-casing and joining words with _
+const ALIASES = {
+  ok: "normal",
+  on: "normal",
+  online: "normal",
+  available: "normal",
+  grid_on: "normal",
+  brown_out: "brownout",
+  low_voltage: "brownout",
+  undervoltage: "brownout",
+  under_voltage: "brownout",
+  voltage_sag: "brownout",
+  voltage_fluctuations: "voltage_fluctuation",
+  fluctuation: "voltage_fluctuation",
+  overvoltage: "voltage_fluctuation",
+  over_voltage: "voltage_fluctuation",
+  unstable_voltage: "voltage_fluctuation",
+  freq_deviation: "frequency_deviation",
+  frequency_fluctuation: "frequency_deviation",
+  off_frequency: "frequency_deviation",
+  maintenance: "scheduled_maintenance",
+  planned_maintenance: "scheduled_maintenance",
+  planned_outage: "scheduled_maintenance",
+  off: "power_off",
+  poweroff: "power_off",
+  power_outage: "power_off",
+  outage: "power_off",
+  blackout: "power_off",
+  grid_down: "power_off",
+  down: "power_off",
+};
+
+// Share of the load a browned-out grid can still supply
+const BROWNOUT_IMPORT_FRACTION = 0.5;
+
+// Voltage band around nominal, and frequency tolerance in Hz
+const VOLTAGE_TOLERANCE = 0.1;
+const OUTAGE_VOLTAGE_FRACTION = 0.1;
+const FREQUENCY_TOLERANCE_HZ = 0.5;
+
+// Canonical state for a raw grid_status value, or null if unrecognised
+function normalizeGridStatus(value) {
+  if (typeof value !== "string") return null;
+
+  const key = value
+    .trim()
+    .toLowerCase()
+    .replace(/[\s-]+/g, "_");
+  if (GRID_STATES[key]) return key;
+  return ALIASES[key] || null;
+}
+
+// Derive a state from measured voltage and frequency, or null if the row has
+// neither
+function deriveGridState(row, config) {
+  const voltage = numberOrNull(row.grid_voltage);
+  const frequency = numberOrNull(row.grid_frequency);
+  if (voltage === null && frequency === null) return null;
+
+  const nominalVoltage = config.gridNominalVoltage;
+  if (voltage !== null) {
+    if (voltage <= nominalVoltage * OUTAGE_VOLTAGE_FRACTION) return "power_off";
+    if (voltage < nominalVoltage * (1 - VOLTAGE_TOLERANCE)) return "brownout";
+    if (voltage > nominalVoltage * (1 + VOLTAGE_TOLERANCE)) {
+      return "voltage_fluctuation";
+    }
+  }
+  if (frequency !== null) {
+    if (frequency <= 0) return "power_off";
+    if (
+      Math.abs(frequency - config.gridNominalFrequencyHz) >
+      FREQUENCY_TOLERANCE_HZ
+    ) {
+      return "frequency_deviation";
+    }
+  }
+  return "normal";
+}
+
+function numberOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// The state a row is processed under. An explicit status wins over measured
+// voltage and frequency; a row with neither is treated as an outage.
+function resolveGridState(row, config) {
+  return (
+    normalizeGridStatus(row.grid_status) ||
+    deriveGridState(row, config) ||
+    "power_off"
+  );
+}
+
+// Grid states in which power can be imported
+function isGridAvailable(state) {
+  const policy = GRID_STATES[state];
+  return Boolean(policy) && policy.gridImport !== "none";
+}
+
+// Most energy the grid can supply this step in a given state
+function gridImportLimitKwh(state, demandKwh) {
+  switch (GRID_STATES[state]?.gridImport) {
+    case "full":
+      return Infinity;
+    case "limited":
+      return demandKwh * BROWNOUT_IMPORT_FRACTION;
+    default:
+      return 0;
+  }
+}
+
+// Only a healthy grid accepts exported energy
+function canExportToGrid(state) {
+  return GRID_STATES[state]?.gridImport === "full";
+}
+
+function canChargeFromGrid(state) {
+  return Boolean(GRID_STATES[state]?.gridCharging);
+}
+
+function listGridStates() {
+  return Object.entries(GRID_STATES).map(([id, { label, gridImport }]) => ({
+    id,
+    label,
+    gridImport,
+  }));
+}
+
+module.exports = {
+  normalizeGridStatus,
+  deriveGridState,
+  resolveGridState,
+  isGridAvailable,
+  gridImportLimitKwh,
+  canChargeFromGrid,
+  canExportToGrid,
+  listGridStates,
+};
@@ -0,0 +1,121 @@
+const { availableEnergyKwh } = require("./battery");
+const { wattsToKwh } = require("./strategies/common");
+
+// Energy below this is float noise, not unserved load
+const EPSILON_KWH = 1e-9;
+
+function createLoadSheddingState() {
+  return {
+    level: "none",
+    events: [],
+    totalUnservedKwh: 0,
+    totalCriticalUnservedKwh: 0,
+  };
+}
+
+// Split a row's demand into the critical floor, heavy appliances (when they
+// are running) and the remaining non-critical load, in kWh
+function loadTiers(row, demandKwh, hours, config) {
+  const criticalKwh = Math.min(
+    wattsToKwh(config.criticalLoadWatts, hours),
+    demandKwh
+  );
+  const heavyKwh = row.heavy_appliance_active
+    ? Math.min(
+        wattsToKwh(config.heavyApplianceWatts, hours),
+        demandKwh - criticalKwh
+      )
+    : 0;
+
+  return {
+    criticalKwh,
+    heavyKwh,
+    nonCriticalKwh: demandKwh - criticalKwh - heavyKwh,
+  };
+}
+
+// Without enough grid, the battery serves non-critical loads only down to the
+// critical reserve; the charge below it is kept for the critical floor
+function protectCriticalReserve(decision, { tiers, socPercent, config }) {
+  const aboveReserveKwh = availableEnergyKwh(socPercent, {
+    ...config,
+    minSocPercent: Math.max(
+      config.criticalReservePercent,
+      config.minSocPercent
+    ),
+  });
+  const criticalFromBatteryKwh = Math.max(
+    tiers.criticalKwh - decision.solar_kwh - decision.grid_kwh,
+    0
+  );
+  const allowedKwh = aboveReserveKwh + criticalFromBatteryKwh;
+  if (decision.battery_kwh <= allowedKwh) return decision;
+  return { ...decision, battery_kwh: allowedKwh };
+}
+
+// Attribute unserved energy to load tiers, heavy appliances first and the
+// critical floor last
+function shedLoads(unservedKwh, tiers) {
+  let remaining = unservedKwh > EPSILON_KWH ? unservedKwh : 0;
+
+  const shed_heavy_kwh = Math.min(remaining, tiers.heavyKwh);
+  remaining -= shed_heavy_kwh;
+  const shed_noncritical_kwh = Math.min(remaining, tiers.nonCriticalKwh);
+  remaining -= shed_noncritical_kwh;
+  const critical_unserved_kwh = remaining;
+
+  let load_shed_level = "none";
+  if (critical_unserved_kwh > EPSILON_KWH) load_shed_level = "critical";
+  else if (shed_noncritical_kwh > EPSILON_KWH) load_shed_level = "non-critical";
+  else if (shed_heavy_kwh > EPSILON_KWH) load_shed_level = "heavy";
+
+  return {
+    unserved_energy_kwh: shed_heavy_kwh + shed_noncritical_kwh + remaining,
+    shed_heavy_kwh,
+    shed_noncritical_kwh,
+    critical_unserved_kwh,
+    load_shed_level,
+  };
+}
+
+// Record a row's shedding and return the shed/restore transitions it caused
+function trackLoadShedding(run, row, rowIndex) {
+  const state = run.loadShedding;
+  state.totalUnservedKwh += row.unserved_energy_kwh;
+  state.totalCriticalUnservedKwh += row.critical_unserved_kwh;
+
+  const level = row.load_shed_level;
+  if (level === state.level) return [];
+
+  const event = {
+    type: level === "none" ? "restore" : "shed",
+    level,
+    previous_level: state.level,
+    row_index: rowIndex,
+    timestamp: row.timestamp,
+    unserved_kwh: row.unserved_energy_kwh,
+  };
+  state.level = level;
+  state.events.push(event);
+  return [event];
+}
+
+function loadSheddingMetrics(run) {
+  const state = run.loadShedding;
+  return {
+    total_unserved_kwh: state.totalUnservedKwh,
+    total_critical_unserved_kwh: state.totalCriticalUnservedKwh,
+    shed_event_count: state.events.filter((event) => event.type === "shed")
+      .length,
+    load_shed_level: state.level,
+  };
+}
+
+module.exports = {
+  createLoadSheddingState,
+  loadTiers,
+  protectCriticalReserve,
+  shedLoads,
+  trackLoadShedding,
+  loadSheddingMetrics,
+};
@@ -0,0 +1,95 @@
+const { isGridAvailable } = require("./gridStates");
+
+// Planned interruptions are recorded but kept out of the reliability indices
+const PLANNED_STATES = ["scheduled_maintenance"];
+
+function createOutageState() {
+  return { events: [], current: null };
+}
+
+function openEvent(run, row, rowIndex) {
+  return {
+    id: run.outages.events.length + 1,
+    start: row.timestamp,
+    end: null,
+    start_row: rowIndex,
+    end_row: rowIndex,
+    ongoing: true,
+    planned: PLANNED_STATES.includes(row.grid_status),
+    grid_states: [],
+    duration_seconds: 0,
+    battery_kwh: 0,
+    solar_kwh: 0,
+    unserved_kwh: 0,
+    min_soc_percent: row.battery_percent,
+  };
+}
+
+// Group consecutive rows without grid supply into outage events. Returns
+// the transitions this row caused, as { type: "start" | "end", outage }.
+function trackOutage(run, row, rowIndex) {
+  const state = run.outages;
+  const transitions = [];
+
+  if (isGridAvailable(row.grid_status)) {
+    if (state.current) {
+      state.current.ongoing = false;
+      state.current.end = row.timestamp;
+      transitions.push({ type: "end", outage: state.current });
+      state.current = null;
+    }
+    return transitions;
+  }
+
+  if (!state.current) {
+    state.current = openEvent(run, row, rowIndex);
+    state.events.push(state.current);
+    transitions.push({ type: "start", outage: state.current });
+  }
+
+  const event = state.current;
+  event.end_row = rowIndex;
+  event.end = row.timestamp;
+  if (!event.grid_states.includes(row.grid_status)) {
+    event.grid_states.push(row.grid_status);
+  }
+  // An outage is planned only if every row of it was
+  event.planned = event.planned && PLANNED_STATES.includes(row.grid_status);
+  event.duration_seconds += row.row_duration_seconds;
+  event.battery_kwh += row.battery_contribution;
+  event.solar_kwh += row.solar_contribution;
+  event.unserved_kwh += row.unserved_energy_kwh;
+  event.min_soc_percent = Math.min(event.min_soc_percent, row.battery_percent);
+
+  return transitions;
+}
+
+// SAIDI/SAIFI-style indices for the single site a run models: unplanned
+// interruptions, their total and average minutes, plus planned counts
+function outageMetrics(run) {
+  const { events } = run.outages;
+  const unplanned = events.filter((event) => !event.planned);
+  const minutes = unplanned.reduce(
+    (total, event) => total + event.duration_seconds / 60,
+    0
+  );
+
+  return {
+    outage_count: unplanned.length,
+    outage_minutes: minutes,
+    average_outage_minutes:
+      unplanned.length > 0 ? minutes / unplanned.length : 0,
+    planned_outage_count: events.length - unplanned.length,
+    outage_unserved_kwh: events.reduce(
+      (total, event) => total + event.unserved_kwh,
+      0
+    ),
+    outage_ongoing: Boolean(run.outages.current),
+  };
+}
+
+module.exports = {
+  createOutageState,
+  trackOutage,
+  outageMetrics,
+};
@@ -0,0 +1,31 @@
+const fs = require("fs");
+const path = require("path");
+
+// Where server state and uploaded files are kept. Either can be moved with an
+// environment variable, e.g. so tests run against a scratch directory.
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+const UPLOADS_DIR =
+  process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads");
+
+function ensureDir(dir) {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
+// Create the data directory, or a directory inside it, before writing there
+function ensureDataDir(subdir = "") {
+  return ensureDir(path.join(DATA_DIR, subdir));
+}
+
+function ensureUploadsDir() {
+  return ensureDir(UPLOADS_DIR);
+}
+
+module.exports = {
+  DATA_DIR,
+  UPLOADS_DIR,
+  ensureDataDir,
+  ensureUploadsDir,
+};
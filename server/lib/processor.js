@@ -0,0 +1,273 @@
+const {
+  parseBatteryPercent,
+  initialSoc,
+  availableEnergyKwh,
+  applyEnergyFlow,
+} = require("./battery");
+const { getStrategy } = require("./strategies");
+const {
+  wattsToKwh,
+  powerSourceLabel,
+  batteryActionFor,
+} = require("./strategies/common");
+const {
+  resolveGridState,
+  gridImportLimitKwh,
+  canChargeFromGrid,
+  isGridAvailable,
+} = require("./gridStates");
+const { priceStep } = require("./tariffs");
+const { dispatchSurplus } = require("./gridExport");
+const { degradedConfig, ageBattery } = require("./degradation");
+const { thermalFactors, deratedConfig } = require("./thermal");
+const {
+  loadTiers,
+  protectCriticalReserve,
+  shedLoads,
+} = require("./loadShedding");
+
+// Input columns whose values the processor no longer computes: alerts come
+// from the rules engine and efficiency from the configured round trip.
+// Passed through, they would contradict the processed values.
+const RETIRED_COLUMNS = ["alerts", "battery_efficiency"];
+
+function dropRetiredColumns(row) {
+  const kept = { ...row };
+  RETIRED_COLUMNS.forEach((column) => delete kept[column]);
+  return kept;
+}
+
+// Hold a strategy's decision to what the grid state allows: no grid charging
+// unless the grid is normal, and no more import than the grid can supply.
+// Import the grid cannot give falls to the battery.
+function enforceGridState(decision, { state, demandKwh, solarKwh }) {
+  const limited = { ...decision };
+
+  if (!canChargeFromGrid(state)) {
+    const spareSolarKwh = Math.max(solarKwh - limited.solar_kwh, 0);
+    limited.battery_charge_kwh = Math.min(
+      limited.battery_charge_kwh,
+      spareSolarKwh
+    );
+  }
+
+  const importLimitKwh = gridImportLimitKwh(state, demandKwh);
+  if (limited.grid_kwh > importLimitKwh) {
+    limited.battery_kwh += limited.grid_kwh - importLimitKwh;
+    limited.grid_kwh = importLimitKwh;
+  }
+
+  if (
+    limited.battery_charge_kwh === decision.battery_charge_kwh &&
+    limited.grid_kwh === decision.grid_kwh
+  ) {
+    return decision;
+  }
+  if (limited.battery_kwh > 0) limited.battery_charge_kwh = 0;
+  return {
+    ...limited,
+    power_source: powerSourceLabel(limited),
+    battery_action: batteryActionFor(limited),
+  };
+}
+
+// Process one raw row with the run's dispatch strategy and battery state
+function processRowData(run, rowData) {
+  // Dispatch sees the capacity the battery has left, not its nameplate,
+  // derated for the temperature it is at
+  const thermal = thermalFactors(run.thermal, rowData);
+  const config = deratedConfig(
+    degradedConfig(run.config, run.degradation),
+    thermal
+  );
+  const strategy = getStrategy(run.strategy);
+
+  // Extract raw data
+  const {
+    is_daytime,
+    solar_input_watts,
+    household_power_demand_watts,
+    heavy_appliance_active,
+    battery_percent,
+  } = rowData;
+
+  // The run owns the state of charge; the sheet's value is only a measurement
+  const measured_battery_percent = parseBatteryPercent(battery_percent);
+  if (run.batterySoc == null) {
+    run.batterySoc = initialSoc(run.initialSocPercent, rowData, config);
+  }
+  const socAtStart = run.batterySoc;
+
+  // Convert watts to kWh over the row's real duration, falling back to the
+  // configured timestep when the data has no usable timestamps
+  const durationSeconds =
+    rowData.row_duration_seconds ?? config.timestepSeconds;
+  const hourFraction = durationSeconds / 3600; // Step as fraction of hour
+  run.dataElapsedSeconds += durationSeconds;
+  const totalDemandKwh = wattsToKwh(household_power_demand_watts, hourFraction);
+  const solarKwh = wattsToKwh(solar_input_watts, hourFraction);
+
+  // Canonical grid state, derived from voltage and frequency if not given
+  const grid_status = resolveGridState(rowData, config);
+
+  // 1. Let the run's strategy choose the power source and energy split,
+  // within what the grid state allows
+  const proposed = strategy.decide({
+    row: {
+      is_daytime,
+      solar_input_watts,
+      grid_status,
+      household_power_demand_watts,
+      heavy_appliance_active,
+    },
+    socPercent: socAtStart,
+    config,
+    hours: hourFraction,
+    options: run.strategyOptions,
+  });
+  const importLimitKwh = gridImportLimitKwh(grid_status, totalDemandKwh);
+  const tiers = loadTiers(rowData, totalDemandKwh, hourFraction, config);
+  let decision = enforceGridState(proposed, {
+    state: grid_status,
+    demandKwh: totalDemandKwh,
+    solarKwh,
+  });
+  if (importLimitKwh < totalDemandKwh) {
+    decision = protectCriticalReserve(decision, {
+      tiers,
+      socPercent: socAtStart,
+      config,
+    });
+  }
+
+  // 2. Move the modelled state of charge with this step's energy flow
+  const flow = applyEnergyFlow(
+    socAtStart,
+    {
+      chargeKwh: decision.battery_charge_kwh,
+      dischargeKwh: decision.battery_kwh,
+      hours: hourFraction,
+    },
+    config
+  );
+  run.batterySoc = flow.soc;
+
+  // The battery cannot deliver more than it holds; the grid covers the rest
+  // as far as its state allows
+  const solar_contribution = decision.solar_kwh;
+  const battery_contribution = flow.dischargedKwh;
+  const grid_contribution =
+    decision.grid_kwh +
+    Math.min(
+      decision.battery_kwh - flow.dischargedKwh,
+      Math.max(importLimitKwh - decision.grid_kwh, 0)
+    );
+
+  // 3. Whatever no source supplied is unserved; shed loads by priority
+  const shedding = shedLoads(
+    totalDemandKwh -
+      solar_contribution -
+      grid_contribution -
+      battery_contribution,
+    tiers
+  );
+
+  // Label the sources and battery action by what actually flowed
+  const power_source = powerSourceLabel({
+    solar_kwh: solar_contribution,
+    grid_kwh: grid_contribution,
+    battery_kwh: battery_contribution,
+  });
+  const battery_action = batteryActionFor({
+    battery_kwh: flow.dischargedKwh,
+    battery_charge_kwh: flow.chargedKwh,
+  });
+
+  // Update discharge cycles if switching from non-discharging to discharging
+  if (
+    battery_action === "Discharging" &&
+    run.lastBatteryAction !== "Discharging"
+  ) {
+    run.batteryDischargeCycles++;
+  }
+
+  // Update last battery action for next cycle
+  run.lastBatteryAction = battery_action;
+
+  // Age the battery with this step's SoC swing and elapsed time
+  const health = ageBattery(run, {
+    socPercent: flow.soc,
+    hours: hourFraction,
+    rowIndex: run.currentRowIndex,
+    timestamp: rowData.timestamp,
+    ageingFactor: thermal.ageing_factor,
+  });
+
+  // Charging energy comes from surplus solar first, then the grid
+  const solarSurplusKwh = Math.max(solarKwh - solar_contribution, 0);
+  const battery_charge_kwh = flow.chargedKwh;
+  const grid_charge_kwh = Math.max(battery_charge_kwh - solarSurplusKwh, 0);
+  const grid_import_kwh = grid_contribution + grid_charge_kwh;
+
+  // Solar neither used nor stored is exported or curtailed
+  const exchange = dispatchSurplus(
+    solarSurplusKwh - (battery_charge_kwh - grid_charge_kwh),
+    { state: grid_status, config, hours: hourFraction }
+  );
+  const battery_percent_model = flow.soc;
+
+  // 4. Calculate estimated_battery_backup_time (in hours)
+  const current_load_kW = household_power_demand_watts / 1000;
+  let estimated_battery_backup_time = 0;
+
+  if (current_load_kW > 0) {
+    estimated_battery_backup_time =
+      availableEnergyKwh(battery_percent_model, config) / current_load_kW;
+  }
+
+  // 5. Price grid energy against the run's tariff
+  const cost = priceStep(run.tariff, run.costState, {
+    timestamp: rowData.timestamp,
+    importKwh: grid_import_kwh,
+    exportKwh: exchange.grid_export_kwh,
+    demandKwh: totalDemandKwh,
+  });
+
+  // Compile processed data
+  const processedData = {
+    ...dropRetiredColumns(rowData),
+    grid_status,
+    grid_available: isGridAvailable(grid_status),
+    row_duration_seconds: durationSeconds,
+    strategy: strategy.id,
+    power_source,
+    battery_action,
+    ...health,
+    ...thermal,
+    solar_contribution,
+    grid_contribution,
+    battery_contribution,
+    battery_charge_kwh,
+    grid_charge_kwh,
+    grid_import_kwh,
+    ...exchange,
+    battery_percent: battery_percent_model,
+    measured_battery_percent,
+    battery_percent_deviation:
+      measured_battery_percent == null
+        ? null
+        : battery_percent_model - measured_battery_percent,
+    total_consumption_kwh: totalDemandKwh,
+    ...shedding,
+    estimated_battery_backup_time,
+    ...cost,
+    discharge_cycles: run.batteryDischargeCycles,
+  };
+
+  return processedData;
+}
+
+module.exports = {
+  dropRetiredColumns,
+  processRowData,
+};
@@ -0,0 +1,97 @@
+const fs = require("fs");
+const path = require("path");
+const { writeRows } = require("./formats");
+const { dropRetiredColumns } = require("./processor");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const RESULTS_DIR = path.join(DATA_DIR, "results");
+
+// Processed rows are appended to one NDJSON file per run, so storing a row
+// costs the same however large the dataset is. Download files are only built
+// when someone asks for one.
+function resultsPath(run) {
+  return path.join(RESULTS_DIR, `${run.id}.ndjson`);
+}
+
+function appendResults(run, rows) {
+  if (rows.length === 0) return;
+
+  ensureDataDir("results");
+  fs.appendFileSync(
+    resultsPath(run),
+    rows.map((row) => JSON.stringify(row) + "\n").join("")
+  );
+}
+
+function appendResult(run, row) {
+  appendResults(run, [row]);
+}
+
+// Replace a run's stored rows, e.g. after a seek re-processed them
+function replaceResults(run, rows) {
+  clearResults(run);
+  appendResults(run, rows);
+}
+
+function clearResults(run) {
+  fs.rmSync(resultsPath(run), { force: true });
+}
+
+function readResults(run) {
+  const filePath = resultsPath(run);
+  if (!fs.existsSync(filePath)) return [];
+
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Number of rows stored for a run
+function countResults(run) {
+  const filePath = resultsPath(run);
+  if (!fs.existsSync(filePath)) return 0;
+
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean).length;
+}
+
+// Write the dataset with processed columns merged into the rows processed so
+// far, in the format it was uploaded in. Returns the file's path and name.
+function materializeResults(run, dataset, datasetRows) {
+  const processed = readResults(run);
+  const rows = datasetRows.map((row, index) =>
+    index < processed.length
+      ? { ...dropRetiredColumns(row), ...processed[index] }
+      : dropRetiredColumns(row)
+  );
+
+  const extension = path.extname(dataset.fileName);
+  const fileName = `processed_data${extension}`;
+  const filePath = path.join(RESULTS_DIR, `${run.id}.download${extension}`);
+
+  ensureDataDir("results");
+  writeRows(filePath, rows, dataset.format || "excel", dataset.parseOptions);
+  return { filePath, fileName };
+}
+
+// Remove everything stored for a run, including materialized downloads
+function deleteResults(run) {
+  if (!fs.existsSync(RESULTS_DIR)) return;
+
+  fs.readdirSync(RESULTS_DIR)
+    .filter((name) => name.startsWith(`${run.id}.`))
+    .forEach((name) => fs.rmSync(path.join(RESULTS_DIR, name)));
+}
+
+module.exports = {
+  resultsPath,
+  appendResult,
+  appendResults,
+  replaceResults,
+  clearResults,
+  readResults,
+  countResults,
+  materializeResults,
+  deleteResults,
+};
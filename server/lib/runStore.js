@@ -0,0 +1,85 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+const { resultsPath } = require("./results");
+
+const RUNS_DIR = path.join(DATA_DIR, "runs");
+
+// One JSON record per run with the settings it was started with, its
+// progress and latest summary, so runs can be listed and reopened after a
+// restart. Processed rows stay in the run's results file and alerts in the
+// alert store; the record names both (results_file, relative to the data
+// directory, and alert_ids). Restoring a run replays its rows only to
+// rebuild the battery, cost and other in-memory state; what was stored is
+// read back as it was, never rewritten. The uploaded dataset is never
+// written to.
+function recordPath(id) {
+  return path.join(RUNS_DIR, `${id}.json`);
+}
+
+function runRecord(run, summary) {
+  return {
+    id: run.id,
+    dataset_id: run.datasetId,
+    status: run.status,
+    strategy: run.strategy,
+    strategy_options: run.strategyOptions,
+    initial_soc_percent: run.initialSocPercent,
+    config: run.config,
+    tariff: run.tariff,
+    thermal: run.thermal,
+    started_at: run.createdAt,
+    finished_at: run.finishedAt,
+    rows_processed: run.currentRowIndex,
+    results_file: path.relative(DATA_DIR, resultsPath(run)),
+    alert_ids: run.alertState.alerts.map((alert) => alert.id),
+    summary,
+  };
+}
+
+function saveRunRecord(run, summary) {
+  ensureDataDir("runs");
+  fs.writeFileSync(
+    recordPath(run.id),
+    JSON.stringify(runRecord(run, summary), null, 2)
+  );
+}
+
+function getRunRecord(id) {
+  // Run IDs are UUIDs; anything else cannot name a record file
+  if (!/^[\w-]+$/.test(id)) return null;
+
+  const filePath = recordPath(id);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`Error reading run record ${id}:`, error);
+    return null;
+  }
+}
+
+// Every stored run, newest first
+function listRunRecords() {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+
+  return fs
+    .readdirSync(RUNS_DIR)
+    .filter((name) => name.endsWith(".json"))
+    .map((name) => getRunRecord(path.basename(name, ".json")))
+    .filter(Boolean)
+    .sort((a, b) => b.started_at.localeCompare(a.started_at));
+}
+
+function deleteRunRecord(id) {
+  fs.rmSync(recordPath(id), { force: true });
+}
+
+module.exports = {
+  runRecord,
+  saveRunRecord,
+  getRunRecord,
+  listRunRecords,
+  deleteRunRecord,
+};
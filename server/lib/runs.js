@@ -0,0 +1,152 @@
+const crypto = require("crypto");
+const { getConfig } = require("./config");
+const { DEFAULT_STRATEGY } = require("./strategies");
+const { getTariff, createCostState } = require("./tariffs");
+const { getThermalProfile } = require("./thermal");
+const { createOutageState } = require("./outages");
+const { createLoadSheddingState } = require("./loadShedding");
+const { createGridExchangeState } = require("./gridExport");
+const { createForecastState } = require("./forecast");
+const { createDegradationState } = require("./degradation");
+const { createAlertState } = require("./alerts");
+const { createEventLog, closeSubscribers } = require("./events");
+const { deleteResults } = require("./results");
+const { deleteAlerts } = require("./alertStore");
+const {
+  saveRunRecord,
+  listRunRecords,
+  deleteRunRecord,
+} = require("./runStore");
+
+// Active simulation runs, keyed by run ID
+const runs = new Map();
+
+// State that evolves as rows are processed; reset when a run is rewound
+function initialSimulationState() {
+  return {
+    currentRowIndex: 0,
+    batteryDischargeCycles: 0,
+    lastBatteryAction: null,
+    // Modelled state of charge; seeded from the first row unless configured
+    batterySoc: null,
+    dataElapsedSeconds: 0,
+    costState: createCostState(),
+    outages: createOutageState(),
+    loadShedding: createLoadSheddingState(),
+    gridExchange: createGridExchangeState(),
+    forecast: createForecastState(),
+    degradation: createDegradationState(),
+    alertState: createAlertState(),
+  };
+}
+
+// A run with its own row cursor, cycle counter and battery state
+function newRun(fields) {
+  return {
+    ...fields,
+    status: "idle",
+    // Server-side playback clock; speed is a multiple of data time or "max"
+    clock: {
+      speed: 1,
+      timer: null,
+      immediate: false,
+      nextTickAt: null,
+      remainingMs: null,
+    },
+    eventLog: createEventLog(),
+    ...initialSimulationState(),
+  };
+}
+
+// Register a run so it can be played, streamed and looked up by ID
+function addRun(fields) {
+  const run = newRun(fields);
+  runs.set(run.id, run);
+  return run;
+}
+
+function runFields(datasetId, options) {
+  return {
+    id: crypto.randomUUID(),
+    datasetId,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    // Scenario name when the run is part of a comparison
+    name: options.name ?? null,
+    // Settings are fixed for the lifetime of a run; a comparison may give
+    // each run its own configuration
+    config: options.config || getConfig(),
+    tariff: getTariff(),
+    thermal: getThermalProfile(),
+    initialSocPercent: options.initialSocPercent ?? null,
+    // Dispatch policy used for every row of this run
+    strategy: options.strategy || DEFAULT_STRATEGY,
+    strategyOptions: options.strategyOptions || {},
+  };
+}
+
+function createRun(datasetId, options = {}) {
+  const run = addRun(runFields(datasetId, options));
+  saveRunRecord(run, null);
+  return run;
+}
+
+// A run for a what-if comparison. It is neither registered nor stored, so
+// processing it leaves no run history, events, alerts or webhook calls.
+function createScenarioRun(datasetId, options = {}) {
+  return newRun(runFields(datasetId, options));
+}
+
+// Bring a stored run back with the settings it was started with. Its
+// simulation state starts empty; the caller replays its rows.
+function loadStoredRun(record) {
+  return addRun({
+    id: record.id,
+    datasetId: record.dataset_id,
+    createdAt: record.started_at,
+    finishedAt: record.finished_at,
+    config: record.config,
+    tariff: record.tariff,
+    thermal: record.thermal,
+    initialSocPercent: record.initial_soc_percent,
+    strategy: record.strategy,
+    strategyOptions: record.strategy_options,
+  });
+}
+
+function resetRunState(run) {
+  Object.assign(run, initialSimulationState());
+}
+
+function getRun(id) {
+  return runs.get(id) || null;
+}
+
+// Drop every run that replays the given dataset, loaded or only stored
+function deleteRunsForDataset(datasetId) {
+  for (const [id, run] of runs) {
+    if (run.datasetId === datasetId) {
+      clearTimeout(run.clock.timer);
+      clearImmediate(run.clock.timer);
+      closeSubscribers(run);
+      runs.delete(id);
+    }
+  }
+
+  listRunRecords()
+    .filter((record) => record.dataset_id === datasetId)
+    .forEach((record) => {
+      deleteResults(record);
+      deleteAlerts((alert) => alert.run_id === record.id);
+      deleteRunRecord(record.id);
+    });
+}
+
+module.exports = {
+  createRun,
+  createScenarioRun,
+  loadStoredRun,
+  getRun,
+  resetRunState,
+  deleteRunsForDataset,
+};
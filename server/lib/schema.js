@@ -0,0 +1,257 @@
+const { minutesOfDay } = require("./time");
+const { parseBatteryPercent } = require("./battery");
+const { normalizeGridStatus } = require("./gridStates");
+
+// Columns processRowData and the strategies read, with the type each must have.
+// A field with requiredUnless may be left out when one of those is present.
+const SCHEMA = [
+  { field: "timestamp", type: "time", required: true },
+  { field: "is_daytime", type: "boolean", required: true },
+  { field: "solar_input_watts", type: "watts", required: true },
+  {
+    field: "grid_status",
+    type: "grid_state",
+    required: true,
+    requiredUnless: ["grid_voltage", "grid_frequency"],
+  },
+  { field: "household_power_demand_watts", type: "watts", required: true },
+  { field: "heavy_appliance_active", type: "boolean", required: true },
+  { field: "ambient_temperature_celsius", type: "number", required: false },
+  { field: "weather_condition", type: "text", required: false },
+  { field: "battery_percent", type: "percent", required: false },
+  { field: "grid_voltage", type: "number", required: false },
+  { field: "grid_frequency", type: "number", required: false },
+];
+
+// Row errors kept in a report; the total is always counted
+const MAX_REPORTED_ERRORS = 100;
+
+const TRUE_VALUES = ["true", "yes", "y", "1", "on"];
+const FALSE_VALUES = ["false", "no", "n", "0", "off"];
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+// Check a cell against a schema type. Returns { value } with the value in the
+// type processRowData expects, or { error } describing what is wrong.
+// Percentages are multiplied by scale, see percentScales.
+function coerceValue(type, value, scale = 1) {
+  switch (type) {
+    case "boolean": {
+      if (typeof value === "boolean") return { value };
+      const text = String(value).trim().toLowerCase();
+      if (TRUE_VALUES.includes(text)) return { value: true };
+      if (FALSE_VALUES.includes(text)) return { value: false };
+      return { error: `expected true/false, got "${value}"` };
+    }
+    case "number":
+    case "watts": {
+      const number = typeof value === "number" ? value : Number(value);
+      if (!Number.isFinite(number)) {
+        return { error: `expected a number, got "${value}"` };
+      }
+      if (type === "watts" && number < 0) {
+        return { error: `must not be negative, got ${number}` };
+      }
+      return { value: number };
+    }
+    case "percent": {
+      const parsed = parseBatteryPercent(value);
+      if (parsed === null) {
+        return { error: `expected a percentage, got "${value}"` };
+      }
+      const percent = parsed * scale;
+      if (percent < 0 || percent > 100) {
+        return { error: `must be between 0 and 100%, got ${percent}` };
+      }
+      return { value: percent };
+    }
+    case "grid_state": {
+      const state = normalizeGridStatus(value);
+      return state
+        ? { value: state }
+        : { error: `unknown grid state "${value}"` };
+    }
+    case "time":
+      return minutesOfDay(value) === null
+        ? { error: `unrecognised time "${value}"` }
+        : { value };
+    default:
+      return typeof value === "string" && value.trim()
+        ? { value: value.trim() }
+        : { error: `expected text, got "${value}"` };
+  }
+}
+
+// Scale for each mapped percentage field. Sheets sometimes store 0.93
+// instead of 93, so a column whose values are all at most 1 holds fractions
+// and is multiplied by 100; any other column is read as percent.
+function percentScales(rows, mapping) {
+  const scales = {};
+
+  SCHEMA.filter(({ type }) => type === "percent").forEach(({ field }) => {
+    const column = mapping[field];
+    if (!column) return;
+
+    const values = rows
+      .map((row) => row[column])
+      .filter((value) => !isBlank(value))
+      .map(parseBatteryPercent)
+      .filter((value) => value !== null);
+    const isFraction = values.length > 0 && values.every((value) => value <= 1);
+    scales[field] = isFraction ? 100 : 1;
+  });
+  return scales;
+}
+
+// Reduce a header to snake_case so "Solar Input Watts" matches solar_input_watts
+function normalizeHeader(header) {
+  return String(header)
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_|_$/g, "");
+}
+
+// Headers present in any row, in first-seen order
+function collectColumns(rows) {
+  const columns = new Set();
+  rows.forEach((row) => Object.keys(row).forEach((key) => columns.add(key)));
+  return Array.from(columns);
+}
+
+// Map each expected field to the header that most likely holds it
+function suggestMapping(columns) {
+  const mapping = {};
+
+  SCHEMA.forEach(({ field }) => {
+    const match =
+      columns.find((column) => column === field) ||
+      columns.find((column) => normalizeHeader(column) === field);
+    if (match) mapping[field] = match;
+  });
+  return mapping;
+}
+
+// Check a column mapping supplied by a client
+function validateMapping(mapping, columns) {
+  const errors = [];
+
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+    return ["mapping must be an object of field: column"];
+  }
+
+  const fields = SCHEMA.map(({ field }) => field);
+  Object.entries(mapping).forEach(([field, column]) => {
+    if (!fields.includes(field)) {
+      errors.push(`Unknown field: ${field}`);
+    } else if (column !== null && !columns.includes(column)) {
+      errors.push(`${field}: column "${column}" is not in the dataset`);
+    }
+  });
+  return errors;
+}
+
+// Rename mapped columns to the expected field names and coerce their values.
+// Columns that are not mapped pass through untouched.
+function applyMapping(rows, mapping) {
+  const entries = Object.entries(mapping).filter(([, column]) => column);
+  const types = Object.fromEntries(
+    SCHEMA.map(({ field, type }) => [field, type])
+  );
+  const scales = percentScales(rows, mapping);
+
+  return rows.map((row) => {
+    const mapped = { ...row };
+
+    entries.forEach(([field, column]) => {
+      if (column !== field) delete mapped[column];
+    });
+    entries.forEach(([field, column]) => {
+      const value = row[column];
+      if (isBlank(value)) {
+        delete mapped[field];
+        return;
+      }
+      const result = coerceValue(types[field], value, scales[field]);
+      mapped[field] = result.error ? value : result.value;
+    });
+
+    return mapped;
+  });
+}
+
+// Validate raw rows under a column mapping. The report lists missing and
+// extra columns and the failing rows, numbered from 1 for the first data row.
+function validateRows(rows, mapping) {
+  const columns = collectColumns(rows);
+  const mappedColumns = Object.values(mapping).filter(Boolean);
+
+  const missingColumns = SCHEMA.filter(
+    ({ field, required, requiredUnless = [] }) =>
+      required &&
+      !mapping[field] &&
+      !requiredUnless.some((alternative) => mapping[alternative])
+  ).map(({ field }) => field);
+  const extraColumns = columns.filter(
+    (column) => !mappedColumns.includes(column)
+  );
+
+  const scales = percentScales(rows, mapping);
+  const rowErrors = [];
+  let errorCount = 0;
+  const failingRows = new Set();
+
+  rows.forEach((row, index) => {
+    SCHEMA.forEach(({ field, type, required, requiredUnless = [] }) => {
+      const column = mapping[field];
+      if (!column) return;
+
+      const value = row[column];
+      let message = null;
+      if (isBlank(value)) {
+        const covered = requiredUnless.some(
+          (alternative) =>
+            mapping[alternative] && !isBlank(row[mapping[alternative]])
+        );
+        if (required && !covered) message = "missing value";
+      } else {
+        message = coerceValue(type, value, scales[field]).error || null;
+      }
+
+      if (message) {
+        errorCount++;
+        failingRows.add(index);
+        if (rowErrors.length < MAX_REPORTED_ERRORS) {
+          rowErrors.push({ row: index + 1, field, column, message });
+        }
+      }
+    });
+  });
+
+  return {
+    valid: rows.length > 0 && missingColumns.length === 0 && errorCount === 0,
+    rowCount: rows.length,
+    columns,
+    missingColumns,
+    extraColumns,
+    failingRowCount: failingRows.size,
+    errorCount,
+    rowErrors,
+  };
+}
+
+// Fields and types clients offer in the column-mapping dialog
+function describeSchema() {
+  return SCHEMA.map(({ field, type, required }) => ({ field, type, required }));
+}
+
+module.exports = {
+  describeSchema,
+  collectColumns,
+  suggestMapping,
+  validateMapping,
+  validateRows,
+  applyMapping,
+};
@@ -0,0 +1,200 @@
+const { getDataset, getDatasetPath, loadDatasetRows } = require("./datasets");
+const { processRowData } = require("./processor");
+const { publish } = require("./events");
+const { resetRunState, loadStoredRun } = require("./runs");
+const { saveRunRecord, getRunRecord } = require("./runStore");
+const { appendResult, replaceResults, countResults } = require("./results");
+const { trackOutage, outageMetrics } = require("./outages");
+const { trackLoadShedding, loadSheddingMetrics } = require("./loadShedding");
+const { trackGridExchange, netMeteringMetrics } = require("./gridExport");
+const { trackForecastHistory, scoreForecast } = require("./forecast");
+const { degradationMetrics } = require("./degradation");
+const {
+  evaluateAlerts,
+  pruneAlerts,
+  adoptStoredAlerts,
+  activeAlertCodes,
+  alertMetrics,
+} = require("./alerts");
+
+// Rows played between saves of a run's record. Status changes and alert
+// transitions are saved as they happen; a restore takes its position from the
+// stored results when they are ahead of the record.
+const RECORD_SAVE_ROWS = 100;
+
+// Calculate summary statistics for a run
+function buildSummary(run, totalRows) {
+  return {
+    run_id: run.id,
+    dataset_id: run.datasetId,
+    status: run.status,
+    speed: run.clock.speed,
+    total_rows: totalRows,
+    current_row: Math.min(run.currentRowIndex, totalRows),
+    strategy: run.strategy,
+    data_interval_seconds:
+      getDataset(run.datasetId)?.timeline?.intervalSeconds ?? null,
+    data_elapsed_seconds: run.dataElapsedSeconds,
+    battery_discharge_cycles: run.batteryDischargeCycles,
+    ...degradationMetrics(run),
+    currency: run.tariff.currency || "USD",
+    total_grid_cost: run.costState.totalGridCost,
+    total_grid_only_cost: run.costState.totalGridOnlyCost,
+    total_savings:
+      run.costState.totalGridOnlyCost - run.costState.totalGridCost,
+    total_export_credit: run.costState.totalExportCredit,
+    ...netMeteringMetrics(run),
+    ...outageMetrics(run),
+    ...loadSheddingMetrics(run),
+    ...alertMetrics(run),
+  };
+}
+
+// The dataset a run replays and its file, or null if either has gone
+function resolveRunData(run) {
+  const dataset = getDataset(run.datasetId);
+  const filePath = dataset && getDatasetPath(dataset);
+  return filePath ? { dataset, filePath } : null;
+}
+
+// Process the run's next row and track the events it belongs to. Shared by
+// playback, batch processing and replays so they all agree. With persist
+// false, alerts are tracked without touching the alert store.
+function advanceRow(run, data, { persist = true } = {}) {
+  const rowIndex = run.currentRowIndex;
+  const row = processRowData(run, data[rowIndex]);
+  trackGridExchange(run, row);
+  scoreForecast(run, row, rowIndex);
+  trackForecastHistory(run, row);
+  const alertTransitions = evaluateAlerts(run, row, rowIndex, { persist });
+  row.active_alerts = activeAlertCodes(run);
+
+  // Increment row index for next call
+  run.currentRowIndex++;
+
+  return {
+    rowIndex,
+    row,
+    outageTransitions: trackOutage(run, row, rowIndex),
+    loadTransitions: trackLoadShedding(run, row, rowIndex),
+    alertTransitions,
+  };
+}
+
+// Process the run's next row and publish the result to its subscribers
+function stepRun(run) {
+  // A finished run has already announced it; don't repeat "done"
+  if (run.status === "finished") {
+    return { done: true };
+  }
+
+  const { dataset } = resolveRunData(run);
+  const data = loadDatasetRows(dataset);
+
+  // Check if we've reached the end of data
+  if (run.currentRowIndex >= data.length) {
+    setStatus(run, "finished");
+    publish(run, "done", buildSummary(run, data.length));
+    return { done: true };
+  }
+
+  const {
+    rowIndex,
+    row: processedRow,
+    outageTransitions,
+    loadTransitions,
+    alertTransitions,
+  } = advanceRow(run, data);
+
+  appendResult(run, processedRow);
+
+  publish(run, "row", { row_index: rowIndex, data: processedRow });
+  outageTransitions.forEach((transition) => publish(run, "outage", transition));
+  loadTransitions.forEach((transition) => publish(run, "load", transition));
+  alertTransitions.forEach((transition) => publish(run, "alert", transition));
+  const summary = buildSummary(run, data.length);
+  publish(run, "summary", summary);
+  if (
+    alertTransitions.length > 0 ||
+    run.currentRowIndex % RECORD_SAVE_ROWS === 0
+  ) {
+    saveRunRecord(run, summary);
+  }
+
+  return { done: false, data: processedRow };
+}
+
+// Record a change of playback status and tell subscribers. The run's stored
+// record is brought up to date at the same time.
+function setStatus(run, status) {
+  if (run.status !== status) {
+    run.status = status;
+    run.finishedAt = status === "finished" ? new Date().toISOString() : null;
+    publish(run, "state", { status, speed: run.clock.speed });
+  }
+  saveRunRecord(
+    run,
+    buildSummary(run, getDataset(run.datasetId)?.rowCount ?? 0)
+  );
+}
+
+// Rewind the run and silently re-process rows up to (not including) rowIndex,
+// so battery and cost state match a straight playback. Returns those rows.
+function replayTo(run, rowIndex) {
+  const { dataset } = resolveRunData(run);
+  const data = loadDatasetRows(dataset);
+  const target = Math.max(0, Math.min(rowIndex, data.length));
+  const rows = [];
+
+  resetRunState(run);
+  while (run.currentRowIndex < target) {
+    rows.push(advanceRow(run, data, { persist: false }).row);
+  }
+  replaceResults(run, rows);
+  adoptStoredAlerts(run);
+  pruneAlerts(run);
+
+  return { rows, summary: buildSummary(run, data.length) };
+}
+
+// Load a stored run that is not in memory, e.g. after a restart. Its rows
+// are replayed silently to rebuild its state; the stored rows and alerts
+// are kept as they are. Null if there is no such run or its dataset has gone.
+function restoreRun(id) {
+  const record = getRunRecord(id);
+  if (!record || !resolveRunData({ datasetId: record.dataset_id })) {
+    return null;
+  }
+
+  // Rows are stored before the record is updated, so a stop in between
+  // leaves more rows than the record knows of; none of them are dropped
+  const run = loadStoredRun(record);
+  const { dataset } = resolveRunData(run);
+  const data = loadDatasetRows(dataset);
+  const target = Math.min(
+    Math.max(record.rows_processed, countResults(run)),
+    data.length
+  );
+  while (run.currentRowIndex < target) {
+    advanceRow(run, data, { persist: false });
+  }
+  adoptStoredAlerts(run);
+
+  // A run that was playing when the server stopped comes back paused
+  if (record.status === "finished") {
+    run.status = "finished";
+  } else if (run.currentRowIndex > 0) {
+    run.status = "paused";
+  }
+  return run;
+}
+
+module.exports = {
+  buildSummary,
+  resolveRunData,
+  advanceRow,
+  stepRun,
+  setStatus,
+  replayTo,
+  restoreRun,
+};
@@ -0,0 +1,61 @@
+const {
+  wattsToKwh,
+  isGridAvailable,
+  dischargeLimitKwh,
+  chargeLimitKwh,
+  completeDecision,
+} = require("./common");
+
+// Keep a reserve in the battery for outages. Above the reserve the battery
+// offsets grid import; below it the battery only discharges when the grid is
+// down, and recharges from surplus solar or the grid.
+function decide(ctx) {
+  const { row, hours, options, socPercent } = ctx;
+  const demandKwh = wattsToKwh(row.household_power_demand_watts, hours);
+  const solarKwh = wattsToKwh(row.solar_input_watts, hours);
+  const gridAvailable = isGridAvailable(row.grid_status);
+
+  const solar_kwh = Math.min(solarKwh, demandKwh);
+  const deficitKwh = demandKwh - solar_kwh;
+  const surplusKwh = Math.max(solarKwh - demandKwh, 0);
+
+  const battery_kwh = Math.min(
+    deficitKwh,
+    gridAvailable
+      ? dischargeLimitKwh(ctx, options.reservePercent)
+      : dischargeLimitKwh(ctx)
+  );
+  const grid_kwh = gridAvailable ? deficitKwh - battery_kwh : 0;
+
+  // Top the reserve back up from the grid; surplus solar always charges
+  const refillFromGrid =
+    gridAvailable && battery_kwh === 0 && socPercent < options.reservePercent;
+  const battery_charge_kwh = Math.min(
+    refillFromGrid ? surplusKwh + ctx.config.maxChargeKw * hours : surplusKwh,
+    chargeLimitKwh(ctx)
+  );
+
+  return completeDecision({
+    solar_kwh,
+    grid_kwh,
+    battery_kwh,
+    battery_charge_kwh,
+  });
+}
+
+module.exports = {
+  id: "backup-reserve",
+  name: "Backup reserve",
+  description:
+    "Hold a SoC reserve for outages and only dip into it when the grid is down.",
+  options: [
+    {
+      key: "reservePercent",
+      label: "Reserve",
+      unit: "%",
+      default: 50,
+      max: 100,
+    },
+  ],
+  decide,
+};
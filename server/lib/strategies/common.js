@@ -0,0 +1,73 @@
+const { availableEnergyKwh, chargeHeadroomKwh } = require("../battery");
+const { isGridAvailable } = require("../gridStates");
+
+// Convert a power reading in watts to energy over the step, in kWh
+function wattsToKwh(watts, hours) {
+  return (watts * hours) / 1000;
+}
+
+// Energy the battery can deliver this step without going below a SoC floor
+function dischargeLimitKwh(ctx, floorPercent = ctx.config.minSocPercent) {
+  const { config, socPercent, hours } = ctx;
+  const floored = {
+    ...config,
+    minSocPercent: Math.max(floorPercent, config.minSocPercent),
+  };
+
+  return Math.min(
+    availableEnergyKwh(socPercent, floored),
+    config.maxDischargeKw * hours
+  );
+}
+
+// Energy the battery can absorb this step
+function chargeLimitKwh(ctx) {
+  const { config, socPercent, hours } = ctx;
+  return Math.min(
+    chargeHeadroomKwh(socPercent, config),
+    config.maxChargeKw * hours
+  );
+}
+
+// Label the mix of sources that served the load, e.g. "Solar+Battery"
+function powerSourceLabel({ solar_kwh, grid_kwh, battery_kwh }) {
+  const sources = [];
+  if (solar_kwh > 0) sources.push("Solar");
+  if (grid_kwh > 0) sources.push("Grid");
+  if (battery_kwh > 0) sources.push("Battery");
+  return sources.length > 0 ? sources.join("+") : "None";
+}
+
+// Battery action implied by the energy a strategy moves
+function batteryActionFor({ battery_kwh, battery_charge_kwh }) {
+  if (battery_kwh > 0) return "Discharging";
+  if (battery_charge_kwh > 0) return "Charging";
+  return "Idle";
+}
+
+// Fill in the label and action for an energy split
+function completeDecision(split) {
+  const decision = {
+    solar_kwh: 0,
+    grid_kwh: 0,
+    battery_kwh: 0,
+    battery_charge_kwh: 0,
+    ...split,
+  };
+
+  return {
+    ...decision,
+    power_source: powerSourceLabel(decision),
+    battery_action: batteryActionFor(decision),
+  };
+}
+
+module.exports = {
+  isGridAvailable,
+  wattsToKwh,
+  dischargeLimitKwh,
+  chargeLimitKwh,
+  powerSourceLabel,
+  batteryActionFor,
+  completeDecision,
+};
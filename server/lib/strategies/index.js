@@ -0,0 +1,58 @@
+const ruleBased = require("./ruleBased");
+const selfConsumption = require("./selfConsumption");
+const peakShaving = require("./peakShaving");
+const backupReserve = require("./backupReserve");
+
+// Dispatch strategies, keyed by ID. Each exposes decide(ctx), which returns
+// power_source, battery_action, the kWh taken from solar, grid and battery,
+// and the kWh requested to charge the battery.
+const STRATEGIES = [ruleBased, selfConsumption, peakShaving, backupReserve];
+const DEFAULT_STRATEGY = ruleBased.id;
+
+function getStrategy(id) {
+  return STRATEGIES.find((strategy) => strategy.id === id) || null;
+}
+
+// Public description of the available strategies and their options
+function listStrategies() {
+  return STRATEGIES.map(({ id, name, description, options }) => ({
+    id,
+    name,
+    description,
+    options,
+  }));
+}
+
+// Fill in option defaults and check values; returns { options } or { errors }.
+// Options are non-negative numbers, at most max where the option sets one.
+function resolveStrategyOptions(strategy, given) {
+  // Missing or null options mean every option takes its default
+  const values = given ?? {};
+  if (typeof values !== "object" || Array.isArray(values)) {
+    return { errors: ["strategyOptions must be an object"] };
+  }
+
+  const errors = [];
+  const options = {};
+
+  strategy.options.forEach((option) => {
+    const raw = values[option.key];
+    const value = raw == null || raw === "" ? option.default : Number(raw);
+
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push(`${option.key} must be a non-negative number`);
+    } else if (option.max != null && value > option.max) {
+      errors.push(`${option.key} must be between 0 and ${option.max}`);
+    }
+    options[option.key] = value;
+  });
+
+  return errors.length > 0 ? { errors } : { options };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  getStrategy,
+  listStrategies,
+  resolveStrategyOptions,
+};
@@ -0,0 +1,58 @@
+const {
+  wattsToKwh,
+  isGridAvailable,
+  dischargeLimitKwh,
+  chargeLimitKwh,
+  completeDecision,
+} = require("./common");
+
+// Cap grid import at a kW limit. The battery covers load above the cap and
+// recharges from the grid headroom below it.
+function decide(ctx) {
+  const { row, hours, options } = ctx;
+  const importCapKwh = options.peakLimitKw * hours;
+  const demandKwh = wattsToKwh(row.household_power_demand_watts, hours);
+  const solarKwh = wattsToKwh(row.solar_input_watts, hours);
+
+  const solar_kwh = Math.min(solarKwh, demandKwh);
+  const deficitKwh = demandKwh - solar_kwh;
+  const surplusKwh = Math.max(solarKwh - demandKwh, 0);
+
+  if (!isGridAvailable(row.grid_status)) {
+    return completeDecision({
+      solar_kwh,
+      battery_kwh: Math.min(deficitKwh, dischargeLimitKwh(ctx)),
+      battery_charge_kwh: Math.min(surplusKwh, chargeLimitKwh(ctx)),
+    });
+  }
+
+  const battery_kwh = Math.min(
+    Math.max(deficitKwh - importCapKwh, 0),
+    dischargeLimitKwh(ctx)
+  );
+  const grid_kwh = deficitKwh - battery_kwh;
+
+  // Recharge from surplus solar, then from whatever import headroom is left
+  const headroomKwh = Math.max(importCapKwh - grid_kwh, 0);
+  const battery_charge_kwh =
+    battery_kwh > 0
+      ? 0
+      : Math.min(surplusKwh + headroomKwh, chargeLimitKwh(ctx));
+
+  return completeDecision({
+    solar_kwh,
+    grid_kwh,
+    battery_kwh,
+    battery_charge_kwh,
+  });
+}
+
+module.exports = {
+  id: "peak-shaving",
+  name: "Peak shaving",
+  description: "Use the battery to keep grid import under a kW limit.",
+  options: [
+    { key: "peakLimitKw", label: "Grid import limit", unit: "kW", default: 2 },
+  ],
+  decide,
+};
@@ -0,0 +1,112 @@
+const { isGridAvailable, wattsToKwh } = require("./common");
+
+// The original hand-written dispatch rules
+function decide(ctx) {
+  const { row, socPercent, config, hours } = ctx;
+  const {
+    is_daytime,
+    solar_input_watts,
+    grid_status,
+    household_power_demand_watts,
+  } = row;
+  const gridDown = !isGridAvailable(grid_status);
+
+  // 1. Determine power_source
+  let power_source;
+
+  if (is_daytime) {
+    // Daytime logic
+    if (!gridDown) {
+      if (solar_input_watts >= household_power_demand_watts) {
+        power_source = "Solar";
+      } else {
+        power_source = "Solar+Grid";
+      }
+    } else {
+      if (solar_input_watts >= household_power_demand_watts) {
+        power_source = "Solar";
+      } else {
+        power_source = "Solar+Battery";
+      }
+    }
+  } else {
+    // Nighttime logic
+    if (!gridDown) {
+      power_source = "Grid";
+    } else {
+      power_source = "Battery";
+    }
+  }
+
+  // 2. Determine battery_action
+  let battery_action;
+
+  // First, check if the battery is being used as a power source
+  if (power_source === "Battery" || power_source === "Solar+Battery") {
+    battery_action = "Discharging";
+  }
+  // Next, check if we can charge from solar, or from a healthy grid
+  else if (
+    ((is_daytime && solar_input_watts > household_power_demand_watts) ||
+      !gridDown) &&
+    socPercent < config.maxSocPercent
+  ) {
+    battery_action = "Charging";
+  }
+  // If none of the above, set to Idle
+  else {
+    battery_action = "Idle";
+  }
+
+  // 3. Split the demand between sources
+  const demandKwh = wattsToKwh(household_power_demand_watts, hours);
+  const solarKwh = wattsToKwh(solar_input_watts, hours);
+  let solar_kwh = 0;
+  let grid_kwh = 0;
+  let battery_kwh = 0;
+
+  switch (power_source) {
+    case "Solar":
+      solar_kwh = demandKwh;
+      break;
+    case "Grid":
+      grid_kwh = demandKwh;
+      break;
+    case "Solar+Grid":
+      solar_kwh = solarKwh;
+      grid_kwh = demandKwh - solarKwh;
+      break;
+    case "Solar+Battery":
+      solar_kwh = solarKwh;
+      battery_kwh = demandKwh - solarKwh;
+      break;
+    case "Battery":
+      battery_kwh = demandKwh;
+      break;
+  }
+
+  // Surplus solar charges first; otherwise a healthy grid charges at full rate
+  let battery_charge_kwh = 0;
+  if (battery_action === "Charging") {
+    const surplusKwh = Math.max(solarKwh - demandKwh, 0);
+    battery_charge_kwh =
+      is_daytime && surplusKwh > 0 ? surplusKwh : config.maxChargeKw * hours;
+  }
+
+  return {
+    power_source,
+    battery_action,
+    solar_kwh,
+    grid_kwh,
+    battery_kwh,
+    battery_charge_kwh,
+  };
+}
+
+module.exports = {
+  id: "rule-based",
+  name: "Rule-based",
+  description: "The original daytime/nighttime rules.",
+  options: [],
+  decide,
+};
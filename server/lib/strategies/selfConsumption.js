@@ -0,0 +1,41 @@
+const {
+  wattsToKwh,
+  isGridAvailable,
+  dischargeLimitKwh,
+  chargeLimitKwh,
+  completeDecision,
+} = require("./common");
+
+// Use as much local solar as possible: solar first, then battery, then grid.
+// Surplus solar goes into the battery; the battery never charges from the grid.
+function decide(ctx) {
+  const { row, hours } = ctx;
+  const demandKwh = wattsToKwh(row.household_power_demand_watts, hours);
+  const solarKwh = wattsToKwh(row.solar_input_watts, hours);
+
+  const solar_kwh = Math.min(solarKwh, demandKwh);
+  const deficitKwh = demandKwh - solar_kwh;
+  const battery_kwh = Math.min(deficitKwh, dischargeLimitKwh(ctx));
+  const grid_kwh = isGridAvailable(row.grid_status)
+    ? deficitKwh - battery_kwh
+    : 0;
+  const battery_charge_kwh = Math.min(
+    Math.max(solarKwh - demandKwh, 0),
+    chargeLimitKwh(ctx)
+  );
+
+  return completeDecision({
+    solar_kwh,
+    grid_kwh,
+    battery_kwh,
+    battery_charge_kwh,
+  });
+}
+
+module.exports = {
+  id: "self-consumption",
+  name: "Maximize self-consumption",
+  description: "Serve the load from solar, then battery, and import the rest.",
+  options: [],
+  decide,
+};
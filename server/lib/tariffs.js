@@ -0,0 +1,249 @@
+const fs = require("fs");
+const path = require("path");
+const { minutesOfDay, parseClock } = require("./time");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const TARIFF_FILE = path.join(DATA_DIR, "tariff.json");
+
+// Tariffs come in three shapes, all with an optional export (feed-in) rate:
+//   { type: "flat", importRate }
+//   { type: "time-of-use", defaultRate, periods: [{ name, start, end, rate }] }
+//   { type: "tiered", tiers: [{ upToKwh, rate }, ..., { upToKwh: null, rate }] }
+// Rates are per kWh. Time-of-use periods use "HH:MM" and may wrap midnight.
+// Tiers apply to cumulative import over the run.
+const DEFAULT_TARIFF = {
+  type: "flat",
+  currency: "USD",
+  importRate: 0.25,
+  exportRate: 0.05,
+};
+
+let currentTariff = { ...DEFAULT_TARIFF };
+
+function isRate(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0;
+}
+
+function isEntry(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Return a list of human-readable problems with a candidate tariff
+function validateTariff(tariff) {
+  const errors = [];
+
+  if (!tariff || typeof tariff !== "object") {
+    return ["Tariff must be an object"];
+  }
+  if (tariff.exportRate != null && !isRate(tariff.exportRate)) {
+    errors.push("exportRate must be a non-negative number");
+  }
+  if (tariff.currency != null && typeof tariff.currency !== "string") {
+    errors.push("currency must be a string");
+  }
+
+  switch (tariff.type) {
+    case "flat":
+      if (!isRate(tariff.importRate)) {
+        errors.push("importRate must be a non-negative number");
+      }
+      break;
+    case "time-of-use":
+      if (!isRate(tariff.defaultRate)) {
+        errors.push("defaultRate must be a non-negative number");
+      }
+      if (!Array.isArray(tariff.periods)) {
+        errors.push("periods must be an array");
+        break;
+      }
+      tariff.periods.forEach((period, i) => {
+        if (!isEntry(period)) {
+          errors.push(`periods[${i}] must be an object`);
+          return;
+        }
+        if (parseClock(period.start) == null) {
+          errors.push(`periods[${i}].start must be HH:MM`);
+        }
+        if (parseClock(period.end) == null) {
+          errors.push(`periods[${i}].end must be HH:MM`);
+        }
+        if (!isRate(period.rate)) {
+          errors.push(`periods[${i}].rate must be a non-negative number`);
+        }
+      });
+      break;
+    case "tiered":
+      if (!Array.isArray(tariff.tiers) || tariff.tiers.length === 0) {
+        errors.push("tiers must be a non-empty array");
+        break;
+      }
+      tariff.tiers.forEach((tier, i) => {
+        const last = i === tariff.tiers.length - 1;
+        if (!isEntry(tier)) {
+          errors.push(`tiers[${i}] must be an object`);
+          return;
+        }
+        if (!isRate(tier.rate)) {
+          errors.push(`tiers[${i}].rate must be a non-negative number`);
+        }
+        if (last && tier.upToKwh != null) {
+          errors.push("The last tier must have upToKwh: null");
+        }
+        if (
+          !last &&
+          (!isRate(tier.upToKwh) ||
+            (i > 0 && tier.upToKwh <= tariff.tiers[i - 1]?.upToKwh))
+        ) {
+          errors.push(`tiers[${i}].upToKwh must increase from tier to tier`);
+        }
+      });
+      break;
+    default:
+      errors.push('type must be "flat", "time-of-use" or "tiered"');
+  }
+
+  return errors;
+}
+
+// Load the tariff saved by a previous server run, if any
+function loadTariff() {
+  if (!fs.existsSync(TARIFF_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(TARIFF_FILE, "utf8"));
+    const errors = validateTariff(saved);
+
+    if (errors.length > 0) {
+      console.error("Ignoring invalid saved tariff:", errors);
+      return;
+    }
+    currentTariff = saved;
+  } catch (error) {
+    console.error("Error loading tariff:", error);
+  }
+}
+
+function getTariff() {
+  return JSON.parse(JSON.stringify(currentTariff));
+}
+
+// Replace the tariff after validating it, and persist it
+function updateTariff(tariff) {
+  const errors = validateTariff(tariff);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  ensureDataDir();
+  fs.writeFileSync(TARIFF_FILE, JSON.stringify(tariff, null, 2));
+
+  currentTariff = tariff;
+  return { tariff: getTariff() };
+}
+
+// Time-of-use rate in force at a minute of the day
+function timeOfUseRate(tariff, minute) {
+  if (minute == null) return tariff.defaultRate;
+
+  const period = tariff.periods.find(({ start, end }) => {
+    const from = parseClock(start);
+    const to = parseClock(end);
+    // Periods such as 22:00-06:00 wrap around midnight
+    return from <= to
+      ? minute >= from && minute < to
+      : minute >= from || minute < to;
+  });
+  return period ? period.rate : tariff.defaultRate;
+}
+
+// Cost of importing kWh on a tiered tariff, given what was imported before
+function tieredCharge(tariff, kwh, alreadyImportedKwh) {
+  let remaining = kwh;
+  let position = alreadyImportedKwh;
+  let charge = 0;
+
+  for (const tier of tariff.tiers) {
+    if (remaining <= 0) break;
+
+    const ceiling = tier.upToKwh ?? Infinity;
+    const inTier = Math.min(remaining, Math.max(ceiling - position, 0));
+    charge += inTier * tier.rate;
+    remaining -= inTier;
+    position += inTier;
+  }
+  return charge;
+}
+
+// Cost of importing kWh at a point in time
+function importCharge(tariff, kwh, timestamp, alreadyImportedKwh) {
+  switch (tariff.type) {
+    case "time-of-use":
+      return kwh * timeOfUseRate(tariff, minutesOfDay(timestamp));
+    case "tiered":
+      return tieredCharge(tariff, kwh, alreadyImportedKwh);
+    default:
+      return kwh * tariff.importRate;
+  }
+}
+
+// Fresh per-run accounting state
+function createCostState() {
+  return {
+    importedKwh: 0,
+    gridOnlyImportedKwh: 0,
+    totalGridCost: 0,
+    totalGridOnlyCost: 0,
+    totalExportCredit: 0,
+  };
+}
+
+// Price one step of a run and advance its running totals. The grid-only
+// baseline is what the household would pay importing its whole demand.
+function priceStep(
+  tariff,
+  state,
+  { timestamp, importKwh, exportKwh, demandKwh }
+) {
+  const importCost = importCharge(
+    tariff,
+    importKwh,
+    timestamp,
+    state.importedKwh
+  );
+  const exportCredit = exportKwh * (tariff.exportRate || 0);
+  const gridOnlyCost = importCharge(
+    tariff,
+    demandKwh,
+    timestamp,
+    state.gridOnlyImportedKwh
+  );
+  const grid_cost = importCost - exportCredit;
+
+  state.importedKwh += importKwh;
+  state.gridOnlyImportedKwh += demandKwh;
+  state.totalGridCost += grid_cost;
+  state.totalGridOnlyCost += gridOnlyCost;
+  state.totalExportCredit += exportCredit;
+
+  return {
+    grid_cost,
+    export_credit: exportCredit,
+    savings_vs_grid_only: gridOnlyCost - grid_cost,
+    cumulative_grid_cost: state.totalGridCost,
+    cumulative_grid_only_cost: state.totalGridOnlyCost,
+    cumulative_savings: state.totalGridOnlyCost - state.totalGridCost,
+  };
+}
+
+loadTariff();
+
+module.exports = {
+  DEFAULT_TARIFF,
+  validateTariff,
+  getTariff,
+  updateTariff,
+  timeOfUseRate,
+  tieredCharge,
+  createCostState,
+  priceStep,
+};
@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const THERMAL_FILE = path.join(DATA_DIR, "thermal.json");
+
+// Thermal derating of the battery, which is taken to sit at ambient
+// temperature. Each curve is a list of { celsius, factor } points in rising
+// temperature order; factors are interpolated linearly between points and
+// held flat beyond the ends.
+//   capacity      share of the usable energy the battery can deliver
+//   chargeRate    multiplier on maxChargeKw
+//   dischargeRate multiplier on maxDischargeKw
+//   ageing        multiplier on cycle and calendar fade
+// safeRange bounds the temperatures the alert rules treat as safe.
+const DEFAULT_THERMAL_PROFILE = {
+  safeRange: { minCelsius: -10, maxCelsius: 45 },
+  capacity: [
+    { celsius: -20, factor: 0.6 },
+    { celsius: 0, factor: 0.85 },
+    { celsius: 15, factor: 1 },
+  ],
+  chargeRate: [
+    { celsius: 0, factor: 0 },
+    { celsius: 10, factor: 0.5 },
+    { celsius: 20, factor: 1 },
+    { celsius: 45, factor: 1 },
+    { celsius: 55, factor: 0 },
+  ],
+  dischargeRate: [
+    { celsius: -20, factor: 0.5 },
+    { celsius: 0, factor: 1 },
+    { celsius: 45, factor: 1 },
+    { celsius: 60, factor: 0 },
+  ],
+  ageing: [
+    { celsius: 25, factor: 1 },
+    { celsius: 35, factor: 2 },
+    { celsius: 45, factor: 4 },
+  ],
+};
+
+const CURVES = ["capacity", "chargeRate", "dischargeRate", "ageing"];
+
+let currentProfile = JSON.parse(JSON.stringify(DEFAULT_THERMAL_PROFILE));
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Return a list of human-readable problems with a candidate profile
+function validateThermalProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== "object") {
+    return ["Thermal profile must be an object"];
+  }
+
+  const range = profile.safeRange;
+  if (
+    !range ||
+    !isNumber(range.minCelsius) ||
+    !isNumber(range.maxCelsius) ||
+    range.minCelsius >= range.maxCelsius
+  ) {
+    errors.push("safeRange needs minCelsius below maxCelsius");
+  }
+
+  CURVES.forEach((name) => {
+    const curve = profile[name];
+    if (!Array.isArray(curve) || curve.length === 0) {
+      errors.push(`${name} must be a non-empty array`);
+      return;
+    }
+    curve.forEach((point, i) => {
+      if (!isNumber(point?.celsius)) {
+        errors.push(`${name}[${i}].celsius must be a number`);
+      } else if (i > 0 && point.celsius <= curve[i - 1].celsius) {
+        errors.push(`${name}[${i}].celsius must be above the previous point`);
+      }
+      if (!isNumber(point?.factor) || point.factor < 0) {
+        errors.push(`${name}[${i}].factor must be a non-negative number`);
+      }
+    });
+  });
+  ["capacity", "chargeRate", "dischargeRate"].forEach((name) => {
+    if (
+      Array.isArray(profile[name]) &&
+      profile[name].some((point) => point?.factor > 1)
+    ) {
+      errors.push(`${name} factors cannot exceed 1`);
+    }
+  });
+
+  return errors;
+}
+
+// Load the profile saved by a previous server run, if any
+function loadThermalProfile() {
+  if (!fs.existsSync(THERMAL_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(THERMAL_FILE, "utf8"));
+    const errors = validateThermalProfile(saved);
+
+    if (errors.length > 0) {
+      console.error("Ignoring invalid saved thermal profile:", errors);
+      return;
+    }
+    currentProfile = saved;
+  } catch (error) {
+    console.error("Error loading thermal profile:", error);
+  }
+}
+
+function getThermalProfile() {
+  return JSON.parse(JSON.stringify(currentProfile));
+}
+
+// Replace the profile after validating it, and persist it
+function updateThermalProfile(profile) {
+  const errors = validateThermalProfile(profile);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  ensureDataDir();
+  fs.writeFileSync(THERMAL_FILE, JSON.stringify(profile, null, 2));
+
+  currentProfile = profile;
+  return { profile: getThermalProfile() };
+}
+
+function interpolate(curve, celsius) {
+  if (celsius <= curve[0].celsius) return curve[0].factor;
+
+  for (let i = 1; i < curve.length; i++) {
+    const from = curve[i - 1];
+    const to = curve[i];
+    if (celsius <= to.celsius) {
+      const share = (celsius - from.celsius) / (to.celsius - from.celsius);
+      return from.factor + share * (to.factor - from.factor);
+    }
+  }
+  return curve[curve.length - 1].factor;
+}
+
+function temperatureOf(row) {
+  const value = row.ambient_temperature_celsius;
+  if (value === undefined || value === null || value === "") return null;
+  const celsius = Number(value);
+  return Number.isFinite(celsius) ? celsius : null;
+}
+
+// Derating factors for a row; rows without a temperature are not derated
+function thermalFactors(profile, row) {
+  const celsius = temperatureOf(row);
+  if (celsius === null) {
+    return {
+      battery_temperature_celsius: null,
+      capacity_derating_factor: 1,
+      charge_rate_derating_factor: 1,
+      discharge_rate_derating_factor: 1,
+      ageing_factor: 1,
+    };
+  }
+
+  return {
+    battery_temperature_celsius: celsius,
+    capacity_derating_factor: interpolate(profile.capacity, celsius),
+    charge_rate_derating_factor: interpolate(profile.chargeRate, celsius),
+    discharge_rate_derating_factor: interpolate(profile.dischargeRate, celsius),
+    ageing_factor: interpolate(profile.ageing, celsius),
+  };
+}
+
+// Battery settings with this row's derating applied
+function deratedConfig(config, factors) {
+  return {
+    ...config,
+    capacityDeratingFactor: factors.capacity_derating_factor,
+    maxChargeKw: config.maxChargeKw * factors.charge_rate_derating_factor,
+    maxDischargeKw:
+      config.maxDischargeKw * factors.discharge_rate_derating_factor,
+  };
+}
+
+// Temperatures a profile's curves are sampled over for charting
+const SAMPLE_FROM_CELSIUS = -30;
+const SAMPLE_TO_CELSIUS = 60;
+
+function sampleThermalCurves(profile) {
+  const samples = [];
+  for (
+    let celsius = SAMPLE_FROM_CELSIUS;
+    celsius <= SAMPLE_TO_CELSIUS;
+    celsius++
+  ) {
+    samples.push(
+      thermalFactors(profile, { ambient_temperature_celsius: celsius })
+    );
+  }
+  return samples;
+}
+
+loadThermalProfile();
+
+module.exports = {
+  DEFAULT_THERMAL_PROFILE,
+  validateThermalProfile,
+  getThermalProfile,
+  updateThermalProfile,
+  thermalFactors,
+  deratedConfig,
+  sampleThermalCurves,
+};
@@ -0,0 +1,94 @@
+// Minutes since midnight for a row timestamp, or null if it has no time.
+// Accepts "10:00 AM", "22:15", "22:15:30", ISO date strings and Excel serials.
+function minutesOfDay(timestamp) {
+  if (typeof timestamp === "number" && Number.isFinite(timestamp)) {
+    // Excel stores times as fractions of a day
+    const fraction = timestamp - Math.floor(timestamp);
+    return Math.round(fraction * 24 * 60) % (24 * 60);
+  }
+
+  if (typeof timestamp !== "string") return null;
+
+  const clock = timestamp
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/);
+  if (clock) {
+    let hours = parseInt(clock[1], 10) % 24;
+    const minutes = parseInt(clock[2], 10);
+    const meridiem = clock[3]?.toUpperCase();
+
+    if (meridiem === "AM" && hours === 12) hours = 0;
+    if (meridiem === "PM" && hours < 12) hours += 12;
+    return hours * 60 + minutes;
+  }
+
+  // Dated strings keep the wall-clock time they were written in, whatever
+  // their offset, so time-of-use periods follow the meter's local time
+  const dated = timestamp.trim().match(ISO_DATE_TIME);
+  if (dated) {
+    return parseInt(dated[2], 10) * 60 + parseInt(dated[3], 10);
+  }
+
+  const date = new Date(timestamp);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+const ISO_DATE_TIME =
+  /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(:\d{2}(?:\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+
+// Parse a row timestamp into milliseconds. Returns { ms, timeOnly } or null.
+// timeOnly is set when the value has no date (e.g. "10:00 AM" or an Excel
+// time fraction), so ms is measured from midnight. Dated strings without an
+// offset are read as UTC so durations do not depend on the server's zone.
+function parseTimestamp(timestamp) {
+  if (typeof timestamp === "number" && Number.isFinite(timestamp)) {
+    if (timestamp < 1) {
+      return { ms: Math.round(timestamp * MS_PER_DAY), timeOnly: true };
+    }
+    return {
+      ms: Math.round((timestamp - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY),
+      timeOnly: false,
+    };
+  }
+
+  if (typeof timestamp !== "string") return null;
+  const text = timestamp.trim();
+
+  const clock = text.match(/^\d{1,2}:\d{2}(?::(\d{2}))?\s*([AaPp][Mm])?$/);
+  if (clock) {
+    const seconds = clock[1] ? parseInt(clock[1], 10) : 0;
+    return { ms: minutesOfDay(text) * 60000 + seconds * 1000, timeOnly: true };
+  }
+
+  const dated = text.match(ISO_DATE_TIME);
+  const ms = dated
+    ? Date.parse(
+        `${dated[1]}T${dated[2]}:${dated[3]}${dated[4] || ""}${dated[5] || "Z"}`
+      )
+    : Date.parse(text);
+  return Number.isNaN(ms) ? null : { ms, timeOnly: false };
+}
+
+// Parse "HH:MM" into minutes since midnight
+function parseClock(value) {
+  const match = typeof value === "string" && value.match(/^(\d{2}):(\d{2})$/);
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+module.exports = {
+  MS_PER_DAY,
+  minutesOfDay,
+  parseTimestamp,
+  parseClock,
+};
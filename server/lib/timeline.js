@@ -0,0 +1,133 @@
+const { MS_PER_DAY, parseTimestamp } = require("./time");
+
+// A step this many times the usual interval is treated as missing data
+const GAP_FACTOR = 3;
+
+// Issues kept in a report; counts always cover the whole dataset
+const MAX_REPORTED_ISSUES = 100;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Milliseconds from one parsed timestamp to the next. Time-only values that
+// go backwards have crossed midnight.
+function stepMs(from, to) {
+  const ms = to.ms - from.ms;
+  return from.timeOnly && to.timeOnly && ms < 0 ? ms + MS_PER_DAY : ms;
+}
+
+function pushIssue(list, issue) {
+  if (list.length < MAX_REPORTED_ISSUES) list.push(issue);
+}
+
+// Work out how long each row lasts from consecutive timestamps. Each row runs
+// until the next distinct timestamp. Repeated timestamps last zero seconds,
+// and rows before a gap, out-of-order rows and the last row last one usual
+// interval, so missing data is reported rather than integrated over.
+// Returns per-row durations (null where unknown) and a report; rows are
+// numbered from 1 for the first data row.
+function buildTimeline(rows) {
+  const times = rows.map((row) => parseTimestamp(row.timestamp));
+
+  const steps = [];
+  for (let i = 0; i + 1 < times.length; i++) {
+    if (times[i] && times[i + 1]) {
+      const ms = stepMs(times[i], times[i + 1]);
+      if (ms > 0) steps.push(ms);
+    }
+  }
+  const intervalMs = median(steps);
+
+  const durations = [];
+  const report = {
+    intervalSeconds: intervalMs === null ? null : intervalMs / 1000,
+    rowsWithoutTime: 0,
+    gapCount: 0,
+    duplicateCount: 0,
+    outOfOrderCount: 0,
+    gaps: [],
+    duplicates: [],
+    outOfOrder: [],
+  };
+
+  times.forEach((time, i) => {
+    const fallback = intervalMs === null ? null : intervalMs / 1000;
+
+    if (!time) {
+      report.rowsWithoutTime++;
+      durations.push(fallback);
+      return;
+    }
+
+    const previous = times[i - 1];
+    if (previous && stepMs(previous, time) === 0) {
+      report.duplicateCount++;
+      pushIssue(report.duplicates, {
+        row: i + 1,
+        timestamp: rows[i].timestamp,
+      });
+      durations.push(0);
+      return;
+    }
+
+    // Skip over later rows that repeat this timestamp
+    let next = i + 1;
+    while (
+      next < times.length &&
+      times[next] &&
+      stepMs(time, times[next]) === 0
+    ) {
+      next++;
+    }
+    if (next >= times.length || !times[next]) {
+      durations.push(fallback);
+      return;
+    }
+
+    const ms = stepMs(time, times[next]);
+    if (ms < 0) {
+      report.outOfOrderCount++;
+      pushIssue(report.outOfOrder, {
+        row: next + 1,
+        timestamp: rows[next].timestamp,
+      });
+      durations.push(fallback);
+    } else if (intervalMs !== null && ms > intervalMs * GAP_FACTOR) {
+      report.gapCount++;
+      pushIssue(report.gaps, {
+        row: i + 1,
+        from: rows[i].timestamp,
+        to: rows[next].timestamp,
+        seconds: ms / 1000,
+      });
+      durations.push(fallback);
+    } else {
+      durations.push(ms / 1000);
+    }
+  });
+
+  return { durations, report };
+}
+
+// Rows annotated with row_duration_seconds, and the timeline report
+function annotateDurations(rows) {
+  const { durations, report } = buildTimeline(rows);
+  return {
+    rows: rows.map((row, i) => ({
+      ...row,
+      row_duration_seconds: durations[i],
+    })),
+    report,
+  };
+}
+
+module.exports = {
+  buildTimeline,
+  annotateDurations,
+};
@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { SEVERITIES } = require("./alerts");
+const { DATA_DIR, ensureDataDir } = require("./paths");
+
+const WEBHOOKS_FILE = path.join(DATA_DIR, "webhooks.json");
+const DEAD_LETTER_FILE = path.join(DATA_DIR, "webhook-dead-letters.ndjson");
+
+// Events a subscription can ask for
+const EVENT_TYPES = [
+  "alert.opened",
+  "alert.closed",
+  "outage.started",
+  "outage.ended",
+  "run.completed",
+];
+
+// Failed deliveries are retried after 1, 2, 4 and 8 seconds, then written to
+// the dead-letter log
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 1000;
+const REQUEST_TIMEOUT_MS = 5000;
+
+// Subscriptions look like
+//   { id, url, events: ["alert.opened", ...], minSeverity, secret }
+// minSeverity only filters alert events. Each delivery is a JSON POST
+// signed with the subscription's secret: the X-Webhook-Signature header is
+// "sha256=" and the hex HMAC-SHA256 of the raw body.
+let subscriptions = [];
+
+function validateSubscription(candidate) {
+  const errors = [];
+
+  if (!candidate || typeof candidate !== "object") {
+    return ["Subscription must be an object"];
+  }
+
+  let url = null;
+  try {
+    url = new URL(candidate.url);
+  } catch {
+    errors.push("url must be an absolute URL");
+  }
+  if (url && !["http:", "https:"].includes(url.protocol)) {
+    errors.push("url must use http or https");
+  }
+  if (
+    !Array.isArray(candidate.events) ||
+    candidate.events.length === 0 ||
+    candidate.events.some((event) => !EVENT_TYPES.includes(event))
+  ) {
+    errors.push(`events must list some of ${EVENT_TYPES.join(", ")}`);
+  }
+  if (!SEVERITIES.includes(candidate.minSeverity)) {
+    errors.push(`minSeverity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  if (typeof candidate.secret !== "string" || candidate.secret.length < 8) {
+    errors.push("secret must be at least 8 characters");
+  }
+
+  return errors;
+}
+
+// Load the subscriptions saved by a previous server run, if any
+function loadSubscriptions() {
+  if (!fs.existsSync(WEBHOOKS_FILE)) return;
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(WEBHOOKS_FILE, "utf8"));
+    const valid = saved.filter(
+      (subscription) => validateSubscription(subscription).length === 0
+    );
+
+    if (valid.length < saved.length) {
+      console.error(
+        `Ignoring ${saved.length - valid.length} invalid webhook subscriptions`
+      );
+    }
+    subscriptions = valid;
+  } catch (error) {
+    console.error("Error loading webhook subscriptions:", error);
+  }
+}
+
+function saveSubscriptions() {
+  ensureDataDir();
+  fs.writeFileSync(WEBHOOKS_FILE, JSON.stringify(subscriptions, null, 2));
+}
+
+// Subscriptions as shown to clients, without their secrets
+function describeSubscription({ secret, ...subscription }) {
+  return { ...subscription, hasSecret: Boolean(secret) };
+}
+
+function listSubscriptions() {
+  return subscriptions.map(describeSubscription);
+}
+
+function getSubscription(id) {
+  return subscriptions.find((subscription) => subscription.id === id) || null;
+}
+
+function createSubscription(candidate) {
+  const errors = validateSubscription(candidate);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const subscription = {
+    id: crypto.randomUUID(),
+    url: candidate.url,
+    events: [...new Set(candidate.events)],
+    minSeverity: candidate.minSeverity,
+    secret: candidate.secret,
+  };
+  subscriptions.push(subscription);
+  saveSubscriptions();
+  return { subscription: describeSubscription(subscription) };
+}
+
+function deleteSubscription(id) {
+  const before = subscriptions.length;
+  subscriptions = subscriptions.filter(
+    (subscription) => subscription.id !== id
+  );
+  if (subscriptions.length === before) return false;
+
+  saveSubscriptions();
+  return true;
+}
+
+function signPayload(secret, body) {
+  return (
+    "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex")
+  );
+}
+
+// POST an event once. Resolves to { delivered, status } or { delivered,
+// error }; never rejects.
+async function attemptDelivery(subscription, event) {
+  const body = JSON.stringify(event);
+  try {
+    const response = await fetch(subscription.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Id": event.id,
+        "X-Webhook-Event": event.type,
+        "X-Webhook-Signature": signPayload(subscription.secret, body),
+      },
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (response.ok) {
+      return { delivered: true, status: response.status };
+    }
+    return {
+      delivered: false,
+      status: response.status,
+      error: `Receiver answered ${response.status}`,
+    };
+  } catch (error) {
+    // fetch hides why a connection failed in the error's cause
+    return { delivered: false, error: error.cause?.message || error.message };
+  }
+}
+
+function recordDeadLetter(subscription, event, attempts, lastError) {
+  ensureDataDir();
+  fs.appendFileSync(
+    DEAD_LETTER_FILE,
+    JSON.stringify({
+      subscription_id: subscription.id,
+      url: subscription.url,
+      event,
+      attempts,
+      last_error: lastError,
+      failed_at: new Date().toISOString(),
+    }) + "\n"
+  );
+}
+
+// Deliver an event in the background, retrying with exponential backoff
+function deliver(subscription, event, attempt = 1) {
+  attemptDelivery(subscription, event).then((result) => {
+    if (result.delivered) return;
+
+    if (attempt >= MAX_ATTEMPTS) {
+      console.error(
+        `Webhook ${event.id} to ${subscription.url} failed ${attempt} times: ${result.error}`
+      );
+      recordDeadLetter(subscription, event, attempt, result.error);
+      return;
+    }
+    setTimeout(
+      () => deliver(subscription, event, attempt + 1),
+      RETRY_BASE_MS * 2 ** (attempt - 1)
+    );
+  });
+}
+
+function readDeadLetters() {
+  if (!fs.existsSync(DEAD_LETTER_FILE)) return [];
+
+  return fs
+    .readFileSync(DEAD_LETTER_FILE, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Copy the data so retries send it as it was when the event happened
+function createEvent(type, runId, data) {
+  return {
+    id: crypto.randomUUID(),
+    type,
+    created_at: new Date().toISOString(),
+    run_id: runId,
+    data: JSON.parse(JSON.stringify(data)),
+  };
+}
+
+// The webhook event a run event stands for, if any
+function webhookEventType(type, data) {
+  if (type === "alert" && data.type === "open") return "alert.opened";
+  if (type === "alert" && data.type === "close") return "alert.closed";
+  if (type === "outage" && data.type === "start") return "outage.started";
+  if (type === "outage" && data.type === "end") return "outage.ended";
+  if (type === "done") return "run.completed";
+  return null;
+}
+
+function wantsEvent(subscription, eventType, data) {
+  if (!subscription.events.includes(eventType)) return false;
+  if (!eventType.startsWith("alert.")) return true;
+
+  return (
+    SEVERITIES.indexOf(data.alert.severity) <=
+    SEVERITIES.indexOf(subscription.minSeverity)
+  );
+}
+
+// Send a run event to every subscription that asked for it
+function notifyWebhooks(run, type, data) {
+  const eventType = webhookEventType(type, data);
+  if (!eventType) return;
+
+  subscriptions
+    .filter((subscription) => wantsEvent(subscription, eventType, data))
+    .forEach((subscription) =>
+      deliver(subscription, createEvent(eventType, run.id, data))
+    );
+}
+
+// Send a test event once, without retries, so the caller sees the outcome
+function sendTestEvent(subscription) {
+  return attemptDelivery(
+    subscription,
+    createEvent("test", null, {
+      message: "Test event from Smart Grid Manager",
+    })
+  );
+}
+
+loadSubscriptions();
+
+module.exports = {
+  EVENT_TYPES,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  readDeadLetters,
+  signPayload,
+  notifyWebhooks,
+  sendTestEvent,
+};
@@ -0,0 +1,35 @@
+// A local endpoint for trying out webhook subscriptions. Logs every delivery
+// and whether its signature matches the secret.
+// Run with `npm run webhook-receiver -- [port] [secret]`, then subscribe
+// http://localhost:<port>/ with the same secret.
+const http = require("http");
+const crypto = require("crypto");
+
+const port = Number(process.argv[2]) || 5055;
+const secret = process.argv[3] || "";
+
+http
+  .createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const expected =
+        "sha256=" +
+        crypto.createHmac("sha256", secret).update(body).digest("hex");
+      const signature = req.headers["x-webhook-signature"] || "";
+      const verdict = !secret
+        ? "unchecked"
+        : signature === expected
+        ? "valid"
+        : "INVALID";
+
+      console.log(
+        `${new Date().toISOString()} ${
+          req.headers["x-webhook-event"]
+        } (signature ${verdict})`
+      );
+      console.log(body);
+      res.end("ok");
+    });
+  })
+  .listen(port, () => console.log(`Webhook receiver on port ${port}`));
@@ -1,350 +1,867 @@
 const express = require("express");
 const fileUpload = require("express-fileupload");
 const cors = require("cors");
-const XLSX = require("xlsx");
-const fs = require("fs");
-const path = require("path");
+const { createRun, getRun, deleteRunsForDataset } = require("./lib/runs");
+const {
+  registerDataset,
+  getDataset,
+  listDatasets,
+  loadDatasetRows,
+  isDatasetValid,
+  updateColumnMapping,
+  deleteDataset,
+} = require("./lib/datasets");
+const { describeSchema } = require("./lib/schema");
+const {
+  buildSummary,
+  resolveRunData,
+  stepRun,
+  restoreRun,
+} = require("./lib/simulation");
+const clock = require("./lib/clock");
+const { processDataset } = require("./lib/batch");
+const { compareScenarios } = require("./lib/compare");
+const { subscribe, publish } = require("./lib/events");
+const { outageMetrics } = require("./lib/outages");
+const { loadSheddingMetrics } = require("./lib/loadShedding");
+const { materializeResults, readResults } = require("./lib/results");
+const {
+  MODELS,
+  DEFAULT_MODEL,
+  forecastRun,
+  issueForecast,
+} = require("./lib/forecast");
+const { cycleHistory, degradationMetrics } = require("./lib/degradation");
+const {
+  SEVERITIES,
+  STATUSES,
+  getAlertRules,
+  acknowledgeAlert,
+  resolveAlert,
+  alertMetrics,
+} = require("./lib/alerts");
+const { getAlert, listAlerts } = require("./lib/alertStore");
+const { runRecord, getRunRecord, listRunRecords } = require("./lib/runStore");
+const {
+  EVENT_TYPES,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  deleteSubscription,
+  readDeadLetters,
+  sendTestEvent,
+} = require("./lib/webhooks");
+const {
+  detectFormat,
+  acceptedExtensions,
+  parseCsvOptions,
+  resolveParseOptions,
+  formatCsv,
+} = require("./lib/formats");
+const {
+  DEFAULT_STRATEGY,
+  getStrategy,
+  listStrategies,
+  resolveStrategyOptions,
+} = require("./lib/strategies");
+const { getConfig, updateConfig, mergeConfig } = require("./lib/config");
+const { getTariff, updateTariff } = require("./lib/tariffs");
+const {
+  getThermalProfile,
+  updateThermalProfile,
+  sampleThermalCurves,
+} = require("./lib/thermal");
 const app = express();
 const PORT = 5000;
 
 // Middleware
-app.use(cors());
+// Expose the download file name so clients keep the uploaded format
+app.use(cors({ exposedHeaders: ["Content-Disposition"] }));
 app.use(express.json());
 app.use(fileUpload());
 
-// Configuration
-const BATTERY_CAPACITY_KWH = 10; // 10 kWh battery capacity
-let currentRowIndex = 0;
-let batteryDischargeCycles = 0;
-let lastBatteryAction = null;
+// Options a client may set when starting a run; returns { options } or { errors }
+function parseRunOptions(body = {}) {
+  const initialSocPercent = parseFloat(body.initialSocPercent);
+  const strategy = getStrategy(body.strategy || DEFAULT_STRATEGY);
 
-// Load Excel file and process data
-function loadExcelData(filePath) {
-  try {
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-    const data = XLSX.utils.sheet_to_json(worksheet);
-    console.log(data);
-    return data;
-  } catch (error) {
-    console.error("Error loading Excel file:", error);
-    return [];
+  if (!strategy) {
+    return { errors: [`Unknown strategy: ${body.strategy}`] };
   }
+
+  // Multipart uploads send strategy options as a JSON string
+  let givenOptions = body.strategyOptions;
+  if (typeof givenOptions === "string") {
+    try {
+      givenOptions = JSON.parse(givenOptions);
+    } catch {
+      return { errors: ["strategyOptions must be valid JSON"] };
+    }
+  }
+
+  const { options, errors } = resolveStrategyOptions(strategy, givenOptions);
+  if (errors) {
+    return { errors };
+  }
+
+  return {
+    options: {
+      initialSocPercent: Number.isNaN(initialSocPercent)
+        ? null
+        : initialSocPercent,
+      strategy: strategy.id,
+      strategyOptions: options,
+    },
+  };
 }
 
-// Process raw data according to updated logic
-function processRowData(rowData) {
-  // Extract raw data
-  const {
-    timestamp,
-    is_daytime,
-    solar_input_watts,
-    grid_status,
-    household_power_demand_watts,
-    heavy_appliance_active,
-    ambient_temperature_celsius,
-    weather_condition,
-    battery_percent,
-  } = rowData;
-
-  // Initialize alerts array
-  const alerts = [];
-
-  // 1. Determine power_source based on updated logic
-  let power_source;
-
-  console.log("Processing power_source:", {
-    is_daytime,
-    grid_status,
-    solar_input_watts,
-    household_power_demand_watts,
-  });
+// API endpoints
+app.post("/api/uploads", (req, res) => {
+  console.log("Received upload request");
+  console.log("Files:", req.files);
+  console.log("Body:", req.body);
 
-  if (is_daytime) {
-    // Daytime logic
-    if (grid_status === "normal") {
-      if (solar_input_watts >= household_power_demand_watts) {
-        power_source = "Solar";
-      } else {
-        power_source = "Solar+Grid";
-      }
-    } else if (
-      grid_status === "power off" ||
-      grid_status === "voltage fluctuation"
-    ) {
-      if (solar_input_watts >= household_power_demand_watts) {
-        power_source = "Solar";
-        alerts.push("Grid power unavailable. Using solar only.");
-      } else {
-        power_source = "Solar+Battery";
-        alerts.push("Powering from battery due to grid issue.");
-      }
-      if (heavy_appliance_active) {
-        alerts.push("Warning: Heavy appliances running on solar backup.");
-      }
+  if (!req.files || !req.files.file) {
+    console.log("No file detected in the request");
+    return res.status(400).send("No file uploaded");
+  }
+
+  const { options, errors } = parseRunOptions(req.body);
+  if (errors) {
+    return res.status(400).json({ message: "Invalid run options", errors });
+  }
+
+  const file = req.files.file;
+  const format = detectFormat(file.name, file.data);
+  if (!format) {
+    return res.status(400).json({
+      message: "Unsupported file format",
+      errors: [`Accepted file types: ${acceptedExtensions().join(", ")}`],
+    });
+  }
+
+  const csv = parseCsvOptions(req.body);
+  if (csv.errors) {
+    return res
+      .status(400)
+      .json({ message: "Invalid CSV options", errors: csv.errors });
+  }
+  const parseOptions = resolveParseOptions(format, file.data, csv.options);
+
+  // Store the file under an opaque dataset ID
+  registerDataset(file, { format, parseOptions }, (err, dataset) => {
+    if (err?.invalidDataset) {
+      return res
+        .status(400)
+        .json({ message: "Could not parse dataset", errors: [err.message] });
+    }
+    if (err) {
+      return res.status(500).send(err);
     }
-  } else {
-    // Nighttime logic
-    if (grid_status === "normal") {
-      power_source = "Grid";
-    } else if (
-      grid_status === "power off" ||
-      grid_status === "voltage fluctuation"
-    ) {
-      power_source = "Battery";
-      alerts.push("Switched to battery.");
-
-      if (heavy_appliance_active) {
-        alerts.push(
-          "Warning: Heavy appliances on battery backup. Consider turning off."
-        );
-      }
-    } else if (grid_status === "power off") {
-      power_source = "Battery";
-      alerts.push("Grid power unavailable. Using battery backup.");
-
-      if (heavy_appliance_active) {
-        alerts.push(
-          "Warning: High load on battery backup. Turn off heavy devices."
-        );
-      }
+
+    // Runs wait until the columns are mapped and every row passes
+    if (!isDatasetValid(dataset)) {
+      return res.json({
+        message: "File uploaded with validation errors",
+        dataset,
+        runId: null,
+      });
     }
+
+    // Each upload starts its own run so concurrent replays stay isolated
+    const run = createRun(dataset.id, options);
+
+    res.json({
+      message: "File uploaded successfully",
+      dataset,
+      runId: run.id,
+    });
+  });
+});
+
+app.get("/api/datasets", (req, res) => {
+  res.json(listDatasets());
+});
+
+app.delete("/api/datasets/:id", (req, res) => {
+  if (!deleteDataset(req.params.id)) {
+    return res.status(404).send("Dataset not found");
   }
 
-  console.log("Calculated power source:", power_source);
+  deleteRunsForDataset(req.params.id);
+  res.json({ message: "Dataset deleted" });
+});
 
-  let parsedBatteryPercent = null;
-  if (typeof battery_percent === "string") {
-    try {
-      parsedBatteryPercent = parseFloat(battery_percent);
-      if (parsedBatteryPercent < 1) {
-        parsedBatteryPercent *= 100; // Convert to percentage if it's a fraction
-        battery_percent = parsedBatteryPercent;
-      }
-    } catch (e) {
-      console.error("Error parsing battery_percent:", battery_percent, e);
-    }
-  } else if (typeof battery_percent === "number") {
-    parsedBatteryPercent = battery_percent;
+app.get("/api/schema", (req, res) => {
+  res.json(describeSchema());
+});
+
+app.get("/api/datasets/:id/validation", (req, res) => {
+  const dataset = getDataset(req.params.id);
+  if (!dataset) {
+    return res.status(404).send("Dataset not found");
+  }
+  res.json({ columnMapping: dataset.columnMapping, ...dataset.validation });
+});
+
+// Map the dataset's headers to the expected fields and re-validate it
+app.put("/api/datasets/:id/mapping", (req, res) => {
+  const result = updateColumnMapping(req.params.id, req.body?.mapping);
+
+  if (!result) {
+    return res.status(404).send("Dataset not found");
   }
+  if (result.errors) {
+    return res
+      .status(400)
+      .json({ message: "Invalid column mapping", errors: result.errors });
+  }
+  res.json(result.dataset);
+});
+
+app.get("/api/strategies", (req, res) => {
+  res.json(listStrategies());
+});
+
+app.get("/api/config", (req, res) => {
+  res.json(getConfig());
+});
 
-  // Check for additional battery-related alerts
-  if (battery_percent < 28) {
-    alerts.push("Battery Low: " + battery_percent + "%");
+app.put("/api/config", (req, res) => {
+  const { config, errors } = updateConfig(req.body || {});
+
+  if (errors) {
+    return res.status(400).json({ message: "Invalid configuration", errors });
   }
 
-  // 2. Determine battery_action
-  let battery_action;
+  res.json(config);
+});
 
-  // First, check if the battery is being used as a power source
-  if (power_source === "Battery" || power_source === "Solar+Battery") {
-    battery_action = "Discharging";
+app.get("/api/tariff", (req, res) => {
+  res.json(getTariff());
+});
 
-    // Update discharge cycles if switching from non-discharging to discharging
-    if (lastBatteryAction !== "Discharging") {
-      batteryDischargeCycles++;
-    }
+function saveTariff(res, tariff) {
+  const { errors } = updateTariff(tariff);
+
+  if (errors) {
+    return res.status(400).json({ message: "Invalid tariff", errors });
   }
-  // Next, check if we can charge from solar
-  else if (
-    is_daytime &&
-    solar_input_watts > household_power_demand_watts &&
-    battery_percent < 100
-  ) {
-    battery_action = "Charging";
+  res.json(getTariff());
+}
+
+app.put("/api/tariff", (req, res) => {
+  saveTariff(res, req.body);
+});
+
+// Accept a tariff definition uploaded as a JSON file
+app.post("/api/tariff/upload", (req, res) => {
+  if (!req.files || !req.files.file) {
+    return res.status(400).send("No file uploaded");
   }
-  // If grid is normal and battery isn't full, charge it
-  else if (grid_status === "normal" && battery_percent < 100) {
-    battery_action = "Charging";
+
+  let tariff;
+  try {
+    tariff = JSON.parse(req.files.file.data.toString("utf8"));
+  } catch {
+    return res.status(400).json({
+      message: "Invalid tariff",
+      errors: ["Tariff file is not valid JSON"],
+    });
   }
-  // During power issues, use battery if it has enough charge
-  else if (
-    (grid_status === "power off" || grid_status === "voltage fluctuation") &&
-    battery_percent > 28
-  ) {
-    // This condition might never be reached due to the first condition already catching cases
-    // where power_source is Battery or Solar+Battery
-    battery_action = "Discharging";
-  }
-  // If none of the above, set to Idle
-  else {
-    battery_action = "Idle";
-  }
-
-
-  // Update last battery action for next cycle
-  lastBatteryAction = battery_action;
-
-  // 3. Calculate currentData.battery_efficiency
-  const battery_efficiency = 100 - batteryDischargeCycles * 0.2;
-
-  // 4. Calculate source_unit_contribution (kWh per 20 seconds)
-  // Convert watts to kWh for 20 seconds: watts * (20/3600) / 1000
-  const hourFraction = 20 / 3600; // 20 seconds as fraction of hour
-  const totalDemandKwh = (household_power_demand_watts * hourFraction) / 1000;
-
-  let solar_contribution = 0;
-  let grid_contribution = 0;
-  let battery_contribution = 0;
-
-  switch (power_source) {
-    case "Solar":
-      solar_contribution = totalDemandKwh;
-      break;
-    case "Grid":
-      grid_contribution = totalDemandKwh;
-      break;
-    case "Solar+Grid":
-      solar_contribution = (solar_input_watts * hourFraction) / 1000;
-      grid_contribution = totalDemandKwh - solar_contribution;
-      break;
-    case "Solar+Battery":
-      solar_contribution = (solar_input_watts * hourFraction) / 1000;
-      battery_contribution = totalDemandKwh - solar_contribution;
-      break;
-    case "Battery":
-      battery_contribution = totalDemandKwh;
-      break;
-  }
-
-  // 5. Calculate estimated_battery_backup_time (in hours)
-  const current_load_kW = household_power_demand_watts / 1000;
-  let estimated_battery_backup_time = 0;
-
-  if (current_load_kW > 0) {
-    estimated_battery_backup_time =
-      ((battery_percent / 100) * BATTERY_CAPACITY_KWH) / current_load_kW;
-  }
-
-  // Compile processed data
-  const processedData = {
-    ...rowData,
-    power_source,
-    battery_action,
-    battery_efficiency,
-    solar_contribution,
-    grid_contribution,
-    battery_contribution,
-    total_consumption_kwh: totalDemandKwh,
-    estimated_battery_backup_time,
-    alerts: alerts.join(", "),
-    discharge_cycles: batteryDischargeCycles,
+  saveTariff(res, tariff);
+});
+
+// Battery thermal derating curves and safe operating range
+app.get("/api/thermal", (req, res) => {
+  res.json(getThermalProfile());
+});
+
+app.put("/api/thermal", (req, res) => {
+  const { errors } = updateThermalProfile(req.body);
+
+  if (errors) {
+    return res.status(400).json({ message: "Invalid thermal profile", errors });
+  }
+  res.json(getThermalProfile());
+});
+
+// Alert rules loaded from alertRules.json
+app.get("/api/alert-rules", (req, res) => {
+  res.json(getAlertRules());
+});
+
+// Comma-separated query values, or null when the parameter is absent
+function parseListQuery(value) {
+  return value === undefined ? null : String(value).split(",");
+}
+
+// Alert history across runs. Filters: runId, severity and status (each may
+// list several values separated by commas), and a from/to time range.
+app.get("/api/alerts", (req, res) => {
+  const severities = parseListQuery(req.query.severity);
+  if (severities?.some((severity) => !SEVERITIES.includes(severity))) {
+    return res
+      .status(400)
+      .send(`severity must be one of ${SEVERITIES.join(", ")}`);
+  }
+  const statuses = parseListQuery(req.query.status);
+  if (statuses?.some((status) => !STATUSES.includes(status))) {
+    return res.status(400).send(`status must be one of ${STATUSES.join(", ")}`);
+  }
+
+  const range = {};
+  for (const bound of ["from", "to"]) {
+    if (req.query[bound] === undefined) continue;
+    range[bound] = Date.parse(req.query[bound]);
+    if (Number.isNaN(range[bound])) {
+      return res.status(400).send(`${bound} must be a date and time`);
+    }
+  }
+
+  res.json(
+    listAlerts({
+      runId: req.query.runId,
+      severities,
+      statuses,
+      ...range,
+    })
+  );
+});
+
+// Acknowledge or resolve an alert, recording who acted and an optional note.
+// The alert's run, if still loaded, hears about it on its event stream.
+function alertActionRoute(type, act) {
+  return (req, res) => {
+    const alert = getAlert(req.params.id);
+    if (!alert) {
+      return res.status(404).send("Alert not found");
+    }
+
+    const { errors, error } = act(alert, req.body);
+    if (errors) {
+      return res.status(400).json({ message: "Invalid alert action", errors });
+    }
+    if (error) {
+      return res.status(409).send(error);
+    }
+
+    const run = getRun(alert.run_id);
+    if (run) publish(run, "alert", { type, alert });
+    res.json(alert);
   };
+}
+
+app.post(
+  "/api/alerts/:id/ack",
+  alertActionRoute("acknowledge", acknowledgeAlert)
+);
+app.post("/api/alerts/:id/resolve", alertActionRoute("resolve", resolveAlert));
+
+// Webhook subscriptions for alert, outage and run events
+app.get("/api/webhooks", (req, res) => {
+  res.json({ eventTypes: EVENT_TYPES, subscriptions: listSubscriptions() });
+});
+
+app.post("/api/webhooks", (req, res) => {
+  const { errors, subscription } = createSubscription(req.body);
+
+  if (errors) {
+    return res
+      .status(400)
+      .json({ message: "Invalid webhook subscription", errors });
+  }
+  res.json(subscription);
+});
+
+// Deliveries that still failed after every retry
+app.get("/api/webhooks/dead-letters", (req, res) => {
+  res.json(readDeadLetters());
+});
+
+app.delete("/api/webhooks/:id", (req, res) => {
+  if (!deleteSubscription(req.params.id)) {
+    return res.status(404).send("Webhook subscription not found");
+  }
+  res.json({ message: "Webhook subscription deleted" });
+});
+
+// Send a test event once and report how the receiver answered
+app.post("/api/webhooks/:id/test", async (req, res) => {
+  const subscription = getSubscription(req.params.id);
+  if (!subscription) {
+    return res.status(404).send("Webhook subscription not found");
+  }
+  res.json(await sendTestEvent(subscription));
+});
 
-  return processedData;
+// Refuse to start a run over a dataset that failed validation
+function rejectInvalidDataset(res, dataset) {
+  if (isDatasetValid(dataset)) return false;
+
+  const { missingColumns, errorCount } = dataset.validation;
+  const errors = [];
+  if (missingColumns.length > 0) {
+    errors.push(`Unmapped required columns: ${missingColumns.join(", ")}`);
+  }
+  if (errorCount > 0) {
+    errors.push(`${errorCount} invalid values`);
+  }
+  if (dataset.validation.rowCount === 0) {
+    errors.push("Dataset has no rows");
+  }
+
+  res.status(400).json({
+    message: "Dataset failed validation",
+    errors,
+    validation: dataset.validation,
+  });
+  return true;
 }
 
-// Write processed data back to Excel file
-function appendProcessedData(filePath, processedData) {
-  try {
-    // Read existing workbook
-    const workbook = XLSX.readFile(filePath);
-    const sheetName = workbook.SheetNames[0];
-    const worksheet = workbook.Sheets[sheetName];
-
-    // Get current data
-    const data = XLSX.utils.sheet_to_json(worksheet);
-
-    // Find corresponding row and update with processed data
-    const updatedData = data.map((row, index) => {
-      if (index === currentRowIndex - 1) {
-        return { ...row, ...processedData };
-      }
-      return row;
-    });
+// Start a new run over a dataset that was uploaded earlier
+app.post("/api/runs", (req, res) => {
+  const dataset = getDataset(req.body?.datasetId);
 
-    // Write back to worksheet
-    const newWorksheet = XLSX.utils.json_to_sheet(updatedData);
-    workbook.Sheets[sheetName] = newWorksheet;
+  if (!dataset) {
+    return res.status(404).send("Dataset not found");
+  }
+  if (rejectInvalidDataset(res, dataset)) return;
 
-    // Write to file
-    XLSX.writeFile(workbook, filePath);
-    console.log(`Row ${currentRowIndex} updated with processed data`);
-  } catch (error) {
-    console.error("Error updating Excel file:", error);
+  const { options, errors } = parseRunOptions(req.body);
+  if (errors) {
+    return res.status(400).json({ message: "Invalid run options", errors });
   }
+
+  const run = createRun(dataset.id, options);
+  res.json({ runId: run.id, dataset, strategy: run.strategy });
+});
+
+// A run's record, current if the run is loaded, with its dataset's name and
+// the last event the run published, for clients to resume its stream from
+function describeRun(record) {
+  const run = getRun(record.id);
+  const dataset = getDataset(record.dataset_id);
+  const current = run
+    ? runRecord(run, buildSummary(run, dataset?.rowCount ?? 0))
+    : record;
+  return {
+    ...current,
+    dataset_name: dataset?.originalName ?? null,
+    last_event_id: run ? run.eventLog.nextId - 1 : 0,
+  };
 }
 
-// API endpoints
-app.post("/api/uploads", (req, res) => {
-  console.log("Received upload request");
-  console.log("Files:", req.files);
-  console.log("Body:", req.body);
+// Run history, newest first
+app.get("/api/runs", (req, res) => {
+  res.json(listRunRecords().map(describeRun));
+});
 
-  if (!req.files || !req.files.file) {
-    console.log("No file detected in the request");
-    return res.status(400).send("No file uploaded");
+app.get("/api/runs/:id", (req, res) => {
+  const record = getRunRecord(req.params.id);
+  if (!record) {
+    return res.status(404).send("Run not found");
   }
 
-  const file = req.files.file;
-  const uploadPath = path.join(__dirname, "uploads", file.name);
+  res.json({
+    ...describeRun(record),
+    alerts: listAlerts({ runId: record.id }),
+  });
+});
 
-  // Create uploads directory if it doesn't exist
-  if (!fs.existsSync(path.join(__dirname, "uploads"))) {
-    fs.mkdirSync(path.join(__dirname, "uploads"));
+// Processed rows of a run, from row `from` up to but not including `to`
+app.get("/api/runs/:id/rows", (req, res) => {
+  const record = getRunRecord(req.params.id);
+  if (!record) {
+    return res.status(404).send("Run not found");
   }
 
-  // Move uploaded file
-  file.mv(uploadPath, (err) => {
-    if (err) {
-      return res.status(500).send(err);
+  const rows = readResults(record);
+  const from = req.query.from === undefined ? 0 : Number(req.query.from);
+  const to = req.query.to === undefined ? rows.length : Number(req.query.to);
+  if (
+    !Number.isInteger(from) ||
+    !Number.isInteger(to) ||
+    from < 0 ||
+    to < from
+  ) {
+    return res
+      .status(400)
+      .send("from and to must be non-negative integers with from <= to");
+  }
+
+  res.json({
+    run_id: record.id,
+    from,
+    to: Math.min(to, rows.length),
+    total_rows: rows.length,
+    rows: rows.slice(from, to),
+  });
+});
+
+// Process every row of a dataset in one pass instead of playing it back.
+// With ?async=true the run id is returned straight away and progress is
+// reported on the run's event stream.
+app.post("/api/datasets/:id/process", async (req, res) => {
+  const dataset = getDataset(req.params.id);
+
+  if (!dataset) {
+    return res.status(404).send("Dataset not found");
+  }
+  if (rejectInvalidDataset(res, dataset)) return;
+
+  const { options, errors } = parseRunOptions(req.body);
+  if (errors) {
+    return res.status(400).json({ message: "Invalid run options", errors });
+  }
+
+  const run = createRun(dataset.id, options);
+  const processing = processDataset(run);
+
+  if (req.query.async === "true") {
+    processing.catch((error) =>
+      console.error(`Error processing run ${run.id}:`, error)
+    );
+    return res.status(202).json({ runId: run.id, dataset });
+  }
+
+  try {
+    const summary = await processing;
+    if (!summary) {
+      return res.status(409).send("Run was deleted while processing");
     }
+    res.json({ message: "Dataset processed", runId: run.id, summary });
+  } catch (error) {
+    console.error(`Error processing run ${run.id}:`, error);
+    res.status(500).send("Error processing dataset");
+  }
+});
 
-    // Reset counters
-    currentRowIndex = 0;
-    batteryDischargeCycles = 0;
+// Most scenarios one comparison may run
+const MAX_SCENARIOS = 6;
+
+// Scenarios for a comparison: each needs a unique name and may override
+// settings and run options. Returns { scenarios } or { errors }.
+function parseScenarios(body = {}) {
+  const given = body.scenarios;
+  if (
+    !Array.isArray(given) ||
+    given.length < 2 ||
+    given.length > MAX_SCENARIOS
+  ) {
+    return {
+      errors: [`scenarios must list between 2 and ${MAX_SCENARIOS} scenarios`],
+    };
+  }
 
-    res.json({
-      message: "File uploaded successfully",
-      filePath: uploadPath,
-    });
+  const errors = [];
+  const names = new Set();
+  const scenarios = given.map((scenario, i) => {
+    const name = typeof scenario?.name === "string" ? scenario.name.trim() : "";
+    const label = name || `scenarios[${i}]`;
+    if (!name) {
+      errors.push(`${label}: name is required`);
+    } else if (names.has(name)) {
+      errors.push(`${label}: name is used more than once`);
+    }
+    names.add(name);
+
+    // Settings overrides are optional but must be a plain object
+    const changes = scenario?.config ?? {};
+    let config;
+    if (typeof changes !== "object" || Array.isArray(changes)) {
+      errors.push(`scenarios[${i}].config must be an object`);
+    } else {
+      const merged = mergeConfig(changes);
+      config = merged.config;
+      (merged.errors || []).forEach((error) =>
+        errors.push(`${label}: ${error}`)
+      );
+    }
+    const { options, errors: optionErrors } = parseRunOptions(scenario);
+    (optionErrors || []).forEach((error) => errors.push(`${label}: ${error}`));
+    return { name, config, options };
   });
+
+  return errors.length > 0 ? { errors } : { scenarios };
+}
+
+// Process a dataset under several named configurations and compare grid
+// import, unserved energy, cycling, cost and self-sufficiency. Scenarios
+// leave no runs, alerts or webhook calls behind.
+app.post("/api/datasets/:id/compare", async (req, res) => {
+  const dataset = getDataset(req.params.id);
+
+  if (!dataset) {
+    return res.status(404).send("Dataset not found");
+  }
+  if (rejectInvalidDataset(res, dataset)) return;
+
+  const { scenarios, errors } = parseScenarios(req.body);
+  if (errors) {
+    return res.status(400).json({ message: "Invalid scenarios", errors });
+  }
+
+  try {
+    res.json(await compareScenarios(dataset, scenarios));
+  } catch (error) {
+    console.error(`Error comparing scenarios for ${dataset.id}:`, error);
+    res.status(500).send("Error comparing scenarios");
+  }
 });
 
+// Resolve the run addressed by the route or runId query parameter
+function findRun(req, res) {
+  // Data is only ever addressed by ID; raw server paths are refused
+  if (req.query.filePath) {
+    res.status(400).send("filePath is not accepted, use runId");
+    return null;
+  }
+
+  const id = req.params.id || req.query.runId;
+  // Runs from before a restart are reloaded from the run store on first use
+  const run = getRun(id) || (id && restoreRun(String(id)));
+
+  if (!run) {
+    res.status(404).send("Run not found");
+    return null;
+  }
+
+  const runData = resolveRunData(run);
+
+  if (!runData) {
+    res.status(404).send("File not found");
+    return null;
+  }
+
+  return { run, ...runData };
+}
+
 app.get("/api/data/next", (req, res) => {
-  const filePath = req.query.filePath;
+  const found = findRun(req, res);
+  if (!found) return;
+
+  // Stepping alongside the clock or a batch job would process rows twice
+  const { run } = found;
+  if (!["idle", "paused"].includes(run.status)) {
+    return res
+      .status(409)
+      .send(`Run is ${run.status}; only idle or paused runs can be stepped`);
+  }
+
+  res.json(stepRun(run));
+});
+
+// Stream processed rows, summaries and alerts for a run
+app.get("/api/runs/:id/events", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  subscribe(found.run, req, res);
+});
 
-  if (!filePath || !fs.existsSync(filePath)) {
-    return res.status(404).send("File not found");
+// Reply with the run's playback position, or 409 if the control did not apply
+function sendClockState(res, run, { error, result } = {}) {
+  if (error) {
+    return res.status(409).send(error);
   }
 
-  const data = loadExcelData(filePath);
+  res.json({
+    status: run.status,
+    speed: run.clock.speed,
+    current_row: run.currentRowIndex,
+    ...(result && { data: result.data, done: result.done }),
+  });
+}
+
+// Speed from the request body, defaulting to the run's current speed
+function readSpeed(req, res, run) {
+  if (req.body?.speed == null) return run.clock.speed;
 
-  // Check if we've reached the end of data
-  if (currentRowIndex >= data.length) {
-    return res.json({ done: true });
+  const speed = clock.parseSpeed(req.body.speed);
+  if (speed == null) {
+    res.status(400).send('speed must be a positive multiplier or "max"');
   }
+  return speed;
+}
+
+app.post("/api/runs/:id/start", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
 
-  // Get and process next row
-  const rawRow = data[currentRowIndex];
-  const processedRow = processRowData(rawRow);
+  const speed = readSpeed(req, res, found.run);
+  if (speed == null) return;
+
+  sendClockState(res, found.run, clock.start(found.run, speed));
+});
 
-  // Append processed data back to Excel
-  appendProcessedData(filePath, processedRow);
+app.post("/api/runs/:id/pause", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  sendClockState(res, found.run, clock.pause(found.run));
+});
+
+app.post("/api/runs/:id/resume", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  sendClockState(res, found.run, clock.resume(found.run));
+});
+
+app.post("/api/runs/:id/step", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  sendClockState(res, found.run, clock.step(found.run));
+});
 
-  // Increment row index for next call
-  currentRowIndex++;
+app.post("/api/runs/:id/seek", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  const row = parseInt(req.body?.row, 10);
+  if (!Number.isInteger(row) || row < 0) {
+    return res.status(400).send("row must be a non-negative integer");
+  }
+
+  sendClockState(res, found.run, clock.seek(found.run, row));
+});
+
+app.post("/api/runs/:id/speed", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  const speed = clock.parseSpeed(req.body?.speed);
+  if (speed == null) {
+    return res.status(400).send('speed must be a positive multiplier or "max"');
+  }
+
+  sendClockState(res, found.run, clock.setSpeed(found.run, speed));
+});
+
+// Outage events of a run so far, with reliability indices
+app.get("/api/runs/:id/outages", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
 
   res.json({
-    done: false,
-    data: processedRow,
+    run_id: found.run.id,
+    metrics: outageMetrics(found.run),
+    events: found.run.outages.events,
   });
 });
 
-// Download endpoint
-app.get("/api/download", (req, res) => {
-  const filePath = decodeURIComponent(req.query.filePath);
+// Load shed and restore events of a run so far, with unserved totals
+app.get("/api/runs/:id/load-shedding", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  res.json({
+    run_id: found.run.id,
+    metrics: loadSheddingMetrics(found.run),
+    events: found.run.loadShedding.events,
+  });
+});
 
-  console.log("Decoded file path:", filePath);
+// Alerts a run has raised so far, active and cleared
+app.get("/api/runs/:id/alerts", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
 
-  if (!filePath || !fs.existsSync(filePath)) {
-    console.error("File not found:", filePath);
-    return res.status(404).send("File not found");
+  res.json({
+    run_id: found.run.id,
+    metrics: alertMetrics(found.run),
+    alerts: found.run.alertState.alerts,
+  });
+});
+
+// Thermal profile a run was started with, sampled for charting
+app.get("/api/runs/:id/thermal", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  res.json({
+    run_id: found.run.id,
+    profile: found.run.thermal,
+    curves: sampleThermalCurves(found.run.thermal),
+  });
+});
+
+// Rainflow-counted battery cycles of a run, as JSON or a CSV download
+app.get("/api/runs/:id/cycles", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  const cycles = cycleHistory(found.run);
+  if (req.query.format === "csv") {
+    res.attachment("battery_cycles.csv");
+    return res.type("text/csv").send(formatCsv(cycles));
   }
+  res.json({
+    run_id: found.run.id,
+    metrics: degradationMetrics(found.run),
+    cycles,
+  });
+});
+
+// Longest forecast horizon, in hours
+const MAX_FORECAST_HOURS = 168;
+
+// Solar and demand forecast for the hours after the run's latest row. GET
+// only previews it, with hours and model in the query; POST, with them in
+// the body, issues it so the rows that arrive later are scored against it.
+function forecastRoute(issue) {
+  return (req, res) => {
+    const found = findRun(req, res);
+    if (!found) return;
+
+    const params = (issue ? req.body : req.query) ?? {};
+    const hours = params.hours === undefined ? 24 : Number(params.hours);
+    if (!(hours > 0 && hours <= MAX_FORECAST_HOURS)) {
+      return res
+        .status(400)
+        .send(`hours must be a number between 0 and ${MAX_FORECAST_HOURS}`);
+    }
+    const model = params.model || DEFAULT_MODEL;
+    if (!MODELS.includes(model)) {
+      return res.status(400).send(`model must be one of ${MODELS.join(", ")}`);
+    }
+
+    const { run, dataset } = found;
+    const { result, issued, error } = forecastRun(run, {
+      hours,
+      model,
+      intervalSeconds:
+        dataset.timeline?.intervalSeconds || run.config.timestepSeconds,
+    });
+    if (error) {
+      return res.status(409).send(error);
+    }
+    if (issue) {
+      issueForecast(run, issued);
+    }
+    res.json(result);
+  };
+}
+
+app.get("/api/runs/:id/forecast", forecastRoute(false));
+app.post("/api/runs/:id/forecast", forecastRoute(true));
+
+// Download endpoint
+app.get("/api/download", (req, res) => {
+  const found = findRun(req, res);
+  if (!found) return;
+
+  // Build the file from the run's stored rows; the upload is untouched
+  const { filePath, fileName } = materializeResults(
+    found.run,
+    found.dataset,
+    loadDatasetRows(found.dataset)
+  );
 
   // Use res.download for proper handling of file downloads
-  res.download(filePath, "processed_data.xlsx", (err) => {
+  res.download(filePath, fileName, (err) => {
     if (err) {
       console.error("Error downloading file:", err);
       res.status(500).send("Error downloading file");
@@ -353,23 +870,11 @@ app.get("/api/download", (req, res) => {
 });
 
 app.get("/api/data/summary", (req, res) => {
-  const filePath = req.query.filePath;
-
-  if (!filePath || !fs.existsSync(filePath)) {
-    return res.status(404).send("File not found");
-  }
-
-  const data = loadExcelData(filePath);
-
-  // Calculate summary statistics from processed data
-  const summary = {
-    total_rows: data.length,
-    current_row: Math.min(currentRowIndex, data.length),
-    battery_discharge_cycles: batteryDischargeCycles,
-    // Add more summary stats as needed
-  };
+  const found = findRun(req, res);
+  if (!found) return;
 
-  res.json(summary);
+  const { run, dataset } = found;
+  res.json(buildSummary(run, loadDatasetRows(dataset).length));
 });
 
 app.listen(PORT, () => {
@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the store's files out of the real data and uploads directories
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "alerts-"));
+process.env.DATA_DIR = path.join(scratch, "data");
+process.env.UPLOADS_DIR = path.join(scratch, "uploads");
+
+const { DEFAULT_CONFIG } = require("../lib/config");
+const { createAlertState, evaluateAlerts } = require("../lib/alerts");
+const { saveAlert, listAlerts } = require("../lib/alertStore");
+const { registerDataset } = require("../lib/datasets");
+const { createRun } = require("../lib/runs");
+const { stepRun } = require("../lib/simulation");
+const clock = require("../lib/clock");
+
+test.after(() => {
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+// Register an NDJSON dataset whose grid is down on rows 1 and 2
+function registerOutageDataset() {
+  const source = path.join(scratch, "outage.ndjson");
+  fs.writeFileSync(
+    source,
+    Array.from({ length: 10 }, (_, i) =>
+      JSON.stringify({
+        timestamp: `2024-06-01T${String(i).padStart(2, "0")}:00:00`,
+        is_daytime: false,
+        solar_input_watts: 0,
+        grid_status: i === 1 || i === 2 ? "power_off" : "normal",
+        household_power_demand_watts: 800,
+        heavy_appliance_active: false,
+        battery_percent: 80,
+      })
+    )
+      .map((line) => line + "\n")
+      .join("")
+  );
+  const file = {
+    name: "outage.ndjson",
+    size: fs.statSync(source).size,
+    mv: (dest, callback) => fs.copyFile(source, dest, callback),
+  };
+
+  return new Promise((resolve, reject) =>
+    registerDataset(file, { format: "ndjson" }, (err, dataset) =>
+      err ? reject(err) : resolve(dataset)
+    )
+  );
+}
+
+function storedLines() {
+  return fs
+    .readFileSync(path.join(process.env.DATA_DIR, "alerts.ndjson"), "utf8")
+    .split("\n")
+    .filter(Boolean).length;
+}
+
+function storedAlert(id, fields) {
+  return {
+    id,
+    run_id: "run",
+    code: "grid_unavailable",
+    severity: "warning",
+    status: "open",
+    // Dataset timestamps that Date.parse cannot read
+    first_seen: "10:00 AM",
+    last_seen: "11:00 AM",
+    actions: [],
+    ...fields,
+  };
+}
+
+test("alerts are stamped with wall-clock raise and clear times", () => {
+  const run = {
+    id: "stamped",
+    config: DEFAULT_CONFIG,
+    thermal: null,
+    alertState: createAlertState(),
+  };
+  const outage = { timestamp: "10:00 AM", grid_available: false };
+  const restored = { timestamp: "11:00 AM", grid_available: true };
+
+  const before = Date.now();
+  const [opened] = evaluateAlerts(run, outage, 0);
+  const [closed] = evaluateAlerts(run, restored, 1);
+
+  assert.strictEqual(opened.alert.first_seen, "10:00 AM");
+  assert.ok(Date.parse(opened.alert.raised_at) >= before);
+  assert.strictEqual(closed.type, "close");
+  assert.ok(Date.parse(closed.alert.cleared_at) >= before);
+});
+
+test("from and to exclude alerts outside the range", () => {
+  saveAlert(
+    storedAlert("early", {
+      active: false,
+      raised_at: "2024-01-01T10:00:00.000Z",
+      cleared_at: "2024-01-01T11:00:00.000Z",
+    })
+  );
+  saveAlert(
+    storedAlert("late", {
+      active: false,
+      raised_at: "2024-03-01T10:00:00.000Z",
+      cleared_at: "2024-03-01T11:00:00.000Z",
+    })
+  );
+  saveAlert(
+    storedAlert("ongoing", {
+      active: true,
+      raised_at: "2024-02-01T10:00:00.000Z",
+      cleared_at: null,
+    })
+  );
+  const ids = (range) =>
+    listAlerts({ runId: "run", ...range }).map((alert) => alert.id);
+
+  assert.deepStrictEqual(ids({}), ["early", "late", "ongoing"]);
+  assert.deepStrictEqual(ids({ from: Date.parse("2024-02-15") }), [
+    "late",
+    "ongoing",
+  ]);
+  assert.deepStrictEqual(ids({ to: Date.parse("2024-01-15") }), ["early"]);
+  assert.deepStrictEqual(ids({ from: Date.parse("2099-01-01") }), ["ongoing"]);
+});
+
+test("a seek keeps stored alert times and writes nothing new", async () => {
+  const dataset = await registerOutageDataset();
+  const run = createRun(dataset.id);
+  for (let i = 0; i < 6; i++) stepRun(run);
+
+  const before = structuredClone(listAlerts({ runId: run.id }));
+  const lines = storedLines();
+  const cleared = before.find((alert) => alert.code === "grid_unavailable");
+  assert.ok(cleared.cleared_at);
+
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  clock.seek(run, 6);
+
+  assert.deepStrictEqual(listAlerts({ runId: run.id }), before);
+  assert.strictEqual(storedLines(), lines);
+
+  // Seeking back into the outage reopens the alert, raised when it was
+  clock.seek(run, 2);
+  const reopened = listAlerts({ runId: run.id }).find(
+    (alert) => alert.id === cleared.id
+  );
+  assert.strictEqual(reopened.active, true);
+  assert.strictEqual(reopened.cleared_at, null);
+  assert.strictEqual(reopened.raised_at, cleared.raised_at);
+});
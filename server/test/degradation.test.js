@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const {
+  createDegradationState,
+  ageBattery,
+  cycleHistory,
+} = require("../lib/degradation");
+
+const config = {
+  batteryCapacityKwh: 10,
+  cycleLifeFullDod: 4000,
+  calendarFadePercentPerYear: 0,
+};
+
+// Age a battery through a SoC trace, one row per point, with no calendar time
+function playTrace(socs) {
+  const run = { config, degradation: createDegradationState() };
+  let health;
+  socs.forEach((socPercent, rowIndex) => {
+    health = ageBattery(run, { socPercent, hours: 0, rowIndex });
+  });
+  return { run, health };
+}
+
+function summarize(cycles) {
+  return cycles.map(({ count, depth_percent, start_row, end_row, open }) => ({
+    count,
+    depth_percent,
+    start_row,
+    end_row,
+    open,
+  }));
+}
+
+test("a range inside a larger swing closes as a full cycle", () => {
+  const { run, health } = playTrace([20, 80, 60, 80, 20]);
+
+  assert.deepStrictEqual(summarize(cycleHistory(run)), [
+    { count: 1, depth_percent: 20, start_row: 1, end_row: 2, open: false },
+    { count: 0.5, depth_percent: 60, start_row: 0, end_row: 3, open: true },
+    { count: 0.5, depth_percent: 60, start_row: 3, end_row: 4, open: true },
+  ]);
+  // The full cycle plus the two open half cycles
+  assert.ok(Math.abs(health.equivalent_full_cycles - 0.8) < 1e-9);
+  assert.ok(health.state_of_health_percent < 100);
+});
+
+test("a range reaching back to the start of the trace is a half cycle", () => {
+  const { run } = playTrace([50, 60, 20, 90]);
+
+  assert.deepStrictEqual(summarize(cycleHistory(run)), [
+    { count: 0.5, depth_percent: 10, start_row: 0, end_row: 1, open: false },
+    { count: 0.5, depth_percent: 40, start_row: 1, end_row: 2, open: true },
+    { count: 0.5, depth_percent: 70, start_row: 2, end_row: 3, open: true },
+  ]);
+});
+
+test("swings shallower than half a percent are not counted", () => {
+  const { run, health } = playTrace([50, 50.2, 50, 50.2, 50]);
+
+  assert.deepStrictEqual(cycleHistory(run), []);
+  assert.strictEqual(health.equivalent_full_cycles, 0);
+  assert.strictEqual(health.state_of_health_percent, 100);
+});
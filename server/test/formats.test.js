@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { splitCsv, csvValue } = require("../lib/formats");
+
+test("quoted fields keep delimiters, doubled quotes and line breaks", () => {
+  const text =
+    'name,note\r\n"Smith, J","said ""hi"""\r\nplain,"two\nlines"\r\n';
+
+  assert.deepStrictEqual(splitCsv(text, ","), [
+    ["name", "note"],
+    ["Smith, J", 'said "hi"'],
+    ["plain", "two\nlines"],
+  ]);
+});
+
+test("blank lines are dropped and a last line without a break is kept", () => {
+  assert.deepStrictEqual(splitCsv("a;b\n\n1;2\n\n3;4", ";"), [
+    ["a", "b"],
+    ["1", "2"],
+    ["3", "4"],
+  ]);
+});
+
+test("semicolon files can use decimal commas", () => {
+  const [header, ...records] = splitCsv(
+    "solar_input_watts;battery_percent\n1234,5;0,93\n",
+    ";"
+  );
+
+  assert.deepStrictEqual(header, ["solar_input_watts", "battery_percent"]);
+  assert.deepStrictEqual(
+    records[0].map((raw) => csvValue(raw, ",")),
+    [1234.5, 0.93]
+  );
+});
+
+test("fields become numbers, booleans or trimmed text", () => {
+  assert.strictEqual(csvValue(" 42 ", "."), 42);
+  assert.strictEqual(csvValue("-1.5e3", "."), -1500);
+  assert.strictEqual(csvValue("TRUE", "."), true);
+  assert.strictEqual(csvValue("false", "."), false);
+  assert.strictEqual(csvValue(" power_off ", "."), "power_off");
+  assert.strictEqual(csvValue("", "."), "");
+});
+
+test("a comma is only a decimal separator when the file says so", () => {
+  assert.strictEqual(csvValue("1,5", "."), "1,5");
+  assert.strictEqual(csvValue("1,5", ","), 1.5);
+  assert.strictEqual(csvValue("1.5", ","), 1.5);
+  // Thousands separators are not numbers
+  assert.strictEqual(csvValue("1,234,5", ","), "1,234,5");
+});
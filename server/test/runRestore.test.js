@@ -0,0 +1,142 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+// Uploads and server state go to a scratch directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "restore-"));
+process.env.DATA_DIR = path.join(scratch, "data");
+process.env.UPLOADS_DIR = path.join(scratch, "uploads");
+
+const ROWS = 20;
+const PLAYED_ROWS = 8;
+
+function datasetRow(index) {
+  return {
+    timestamp: `2024-06-01T${String(index).padStart(2, "0")}:00:00`,
+    is_daytime: index >= 6 && index < 18,
+    solar_input_watts: index >= 6 && index < 18 ? 1500 : 0,
+    grid_status: index >= 3 && index < 6 ? "power_off" : "normal",
+    household_power_demand_watts: 900 + (index % 5) * 100,
+    heavy_appliance_active: index % 4 === 0,
+    battery_percent: 60,
+  };
+}
+
+// Play part of a run in another process, the way the clock does, and stop
+// there as a server would when it is killed mid-run
+function playInOtherProcess() {
+  const source = path.join(scratch, "rows.ndjson");
+  fs.writeFileSync(
+    source,
+    Array.from({ length: ROWS }, (_, i) => JSON.stringify(datasetRow(i)))
+      .map((line) => line + "\n")
+      .join("")
+  );
+
+  const script = `
+    const fs = require("fs");
+    const { registerDataset } = require("./lib/datasets");
+    const { createRun } = require("./lib/runs");
+    const { stepRun, setStatus } = require("./lib/simulation");
+    const file = {
+      name: "rows.ndjson",
+      size: fs.statSync(${JSON.stringify(source)}).size,
+      mv: (dest, callback) =>
+        fs.copyFile(${JSON.stringify(source)}, dest, callback),
+    };
+    registerDataset(file, { format: "ndjson" }, (err, dataset) => {
+      if (err) throw err;
+      const run = createRun(dataset.id);
+      setStatus(run, "running");
+      for (let i = 0; i < ${PLAYED_ROWS}; i++) stepRun(run);
+      process.stdout.write(run.id);
+      process.exit(0);
+    });
+  `;
+  return execFileSync(process.execPath, ["-e", script], {
+    cwd: path.join(__dirname, ".."),
+    env: process.env,
+    encoding: "utf8",
+  });
+}
+
+test.after(() => {
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test("a run stopped part-way while playing is restored where it stopped", () => {
+  const runId = playInOtherProcess();
+  const resultsFile = path.join(
+    process.env.DATA_DIR,
+    "results",
+    `${runId}.ndjson`
+  );
+  const storedResults = fs.readFileSync(resultsFile, "utf8");
+
+  const { restoreRun } = require("../lib/simulation");
+  const { readResults } = require("../lib/results");
+  const { listAlerts } = require("../lib/alertStore");
+  const { getRunRecord } = require("../lib/runStore");
+  const storedAlerts = structuredClone(listAlerts({ runId }));
+
+  const run = restoreRun(runId);
+
+  assert.strictEqual(run.currentRowIndex, PLAYED_ROWS);
+  assert.strictEqual(run.status, "paused");
+  assert.strictEqual(readResults(run).length, PLAYED_ROWS);
+  assert.strictEqual(fs.readFileSync(resultsFile, "utf8"), storedResults);
+  assert.ok(storedAlerts.length > 0);
+  assert.deepStrictEqual(listAlerts({ runId }), storedAlerts);
+
+  const record = getRunRecord(runId);
+  assert.strictEqual(
+    record.results_file,
+    path.join("results", `${runId}.ndjson`)
+  );
+  assert.deepStrictEqual(
+    record.alert_ids,
+    storedAlerts.map((alert) => alert.id)
+  );
+});
+
+test("a batch stops without writing once its dataset is deleted", async () => {
+  const { registerDataset, deleteDataset } = require("../lib/datasets");
+  const { createRun, deleteRunsForDataset } = require("../lib/runs");
+  const { processDataset } = require("../lib/batch");
+  const { listRunRecords } = require("../lib/runStore");
+
+  const source = path.join(scratch, "batch.ndjson");
+  fs.writeFileSync(
+    source,
+    Array.from({ length: 1200 }, (_, i) => JSON.stringify(datasetRow(i % 24)))
+      .map((line) => line + "\n")
+      .join("")
+  );
+  const file = {
+    name: "batch.ndjson",
+    size: fs.statSync(source).size,
+    mv: (dest, callback) => fs.copyFile(source, dest, callback),
+  };
+  const dataset = await new Promise((resolve, reject) =>
+    registerDataset(file, { format: "ndjson" }, (err, registered) =>
+      err ? reject(err) : resolve(registered)
+    )
+  );
+
+  const run = createRun(dataset.id);
+  const processing = processDataset(run);
+  deleteDataset(dataset.id);
+  deleteRunsForDataset(dataset.id);
+
+  assert.strictEqual(await processing, null);
+  assert.ok(run.currentRowIndex < 1200);
+  assert.ok(!listRunRecords().some((record) => record.id === run.id));
+  assert.ok(
+    !fs.existsSync(
+      path.join(process.env.DATA_DIR, "results", `${run.id}.ndjson`)
+    )
+  );
+});
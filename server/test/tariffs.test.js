@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep any saved tariff out of the real data directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "tariffs-"));
+process.env.DATA_DIR = path.join(scratch, "data");
+
+const { timeOfUseRate, tieredCharge } = require("../lib/tariffs");
+
+test.after(() => {
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+const timeOfUse = {
+  type: "time-of-use",
+  defaultRate: 0.2,
+  periods: [
+    { name: "peak", start: "17:00", end: "21:00", rate: 0.4 },
+    { name: "night", start: "22:00", end: "06:00", rate: 0.1 },
+  ],
+};
+
+const tiered = {
+  type: "tiered",
+  tiers: [
+    { upToKwh: 10, rate: 0.1 },
+    { upToKwh: 30, rate: 0.2 },
+    { upToKwh: null, rate: 0.5 },
+  ],
+};
+
+function assertClose(actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`
+  );
+}
+
+test("a time-of-use period applies from its start up to its end", () => {
+  assert.strictEqual(timeOfUseRate(timeOfUse, 17 * 60), 0.4);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 20 * 60 + 59), 0.4);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 21 * 60), 0.2);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 12 * 60), 0.2);
+});
+
+test("a time-of-use period can wrap midnight", () => {
+  assert.strictEqual(timeOfUseRate(timeOfUse, 23 * 60), 0.1);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 0), 0.1);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 5 * 60 + 59), 0.1);
+  assert.strictEqual(timeOfUseRate(timeOfUse, 6 * 60), 0.2);
+});
+
+test("an unknown time of day gets the default rate", () => {
+  assert.strictEqual(timeOfUseRate(timeOfUse, null), 0.2);
+});
+
+test("tiered import is charged at the rate of each tier it falls in", () => {
+  assertClose(tieredCharge(tiered, 5, 0), 0.5);
+  // 5 kWh in the first tier, 20 in the second and 5 in the last
+  assertClose(tieredCharge(tiered, 30, 5), 0.5 + 4 + 2.5);
+  assertClose(tieredCharge(tiered, 10, 40), 5);
+});
+
+test("tiered charges add up the same however import is split", () => {
+  const steps = [3, 4, 6, 9, 12, 2];
+  let imported = 0;
+  let total = 0;
+  steps.forEach((kwh) => {
+    total += tieredCharge(tiered, kwh, imported);
+    imported += kwh;
+  });
+
+  assertClose(total, tieredCharge(tiered, imported, 0));
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+
+const { buildTimeline } = require("../lib/timeline");
+
+function rowsAt(...timestamps) {
+  return timestamps.map((timestamp) => ({ timestamp }));
+}
+
+test("each row lasts until the next timestamp, the last one interval", () => {
+  const { durations, report } = buildTimeline(
+    rowsAt(
+      "2024-06-01T00:00:00",
+      "2024-06-01T00:15:00",
+      "2024-06-01T00:30:00",
+      "2024-06-01T01:00:00"
+    )
+  );
+
+  // The usual interval is the median step, 15 minutes
+  assert.deepStrictEqual(durations, [900, 900, 1800, 900]);
+  assert.strictEqual(report.intervalSeconds, 900);
+});
+
+test("repeated timestamps last zero seconds", () => {
+  const { durations, report } = buildTimeline(
+    rowsAt("00:00", "01:00", "01:00", "02:00", "03:00")
+  );
+
+  assert.deepStrictEqual(durations, [3600, 3600, 0, 3600, 3600]);
+  assert.strictEqual(report.duplicateCount, 1);
+  assert.deepStrictEqual(report.duplicates, [{ row: 3, timestamp: "01:00" }]);
+});
+
+test("a row before a gap lasts one usual interval", () => {
+  const { durations, report } = buildTimeline(
+    rowsAt("00:00", "01:00", "02:00", "08:00", "09:00")
+  );
+
+  assert.deepStrictEqual(durations, [3600, 3600, 3600, 3600, 3600]);
+  assert.strictEqual(report.gapCount, 1);
+  assert.deepStrictEqual(report.gaps, [
+    { row: 3, from: "02:00", to: "08:00", seconds: 6 * 3600 },
+  ]);
+});
+
+test("time-only rows wrap midnight but dated rows can run out of order", () => {
+  const wrapped = buildTimeline(rowsAt("22:00", "23:00", "00:00", "01:00"));
+  assert.deepStrictEqual(wrapped.durations, [3600, 3600, 3600, 3600]);
+  assert.strictEqual(wrapped.report.outOfOrderCount, 0);
+
+  const { durations, report } = buildTimeline(
+    rowsAt(
+      "2024-06-01T01:00:00",
+      "2024-06-01T02:00:00",
+      "2024-06-01T01:30:00",
+      "2024-06-01T03:00:00",
+      "2024-06-01T04:00:00"
+    )
+  );
+  assert.deepStrictEqual(durations, [3600, 3600, 5400, 3600, 3600]);
+  assert.strictEqual(report.outOfOrderCount, 1);
+  assert.deepStrictEqual(report.outOfOrder, [
+    { row: 3, timestamp: "2024-06-01T01:30:00" },
+  ]);
+});
+
+test("rows without a readable time last one usual interval", () => {
+  const { durations, report } = buildTimeline(
+    rowsAt("00:00", "01:00", "soon", "03:00", "04:00")
+  );
+
+  assert.deepStrictEqual(durations, [3600, 3600, 3600, 3600, 3600]);
+  assert.strictEqual(report.rowsWithoutTime, 1);
+});
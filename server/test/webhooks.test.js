@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+// Keep subscriptions and dead letters out of the real data directory
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-"));
+process.env.DATA_DIR = path.join(scratch, "data");
+
+const { signPayload, sendTestEvent } = require("../lib/webhooks");
+
+test.after(() => {
+  fs.rmSync(scratch, { recursive: true, force: true });
+});
+
+test("payloads are signed with the hex HMAC-SHA256 of the body", () => {
+  // RFC 4231 test case 2
+  assert.strictEqual(
+    signPayload("Jefe", "what do ya want for nothing?"),
+    "sha256=5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843"
+  );
+  assert.notStrictEqual(
+    signPayload("other", "what do ya want for nothing?"),
+    signPayload("Jefe", "what do ya want for nothing?")
+  );
+});
+
+test("a receiver can verify a delivery against its raw body", async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const result = await sendTestEvent({
+      id: "subscription",
+      url: `http://127.0.0.1:${server.address().port}/hook`,
+      secret: "shared secret",
+    });
+    assert.deepStrictEqual(result, { delivered: true, status: 200 });
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+
+  const [{ headers, body }] = received;
+  const expected =
+    "sha256=" +
+    crypto.createHmac("sha256", "shared secret").update(body).digest("hex");
+  assert.strictEqual(headers["x-webhook-signature"], expected);
+  assert.strictEqual(headers["x-webhook-event"], "test");
+  assert.strictEqual(headers["x-webhook-id"], JSON.parse(body).id);
+});